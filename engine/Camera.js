@@ -0,0 +1,109 @@
+// engine/Camera.js
+// Maps logical world coordinates to screen pixels:
+//   screen = (world − camera) × zoom
+// The world has a fixed size (World.width / height) whatever the window
+// does; the camera is the only thing that knows about the viewport.
+// No DOM — the game wires input to panBy() / zoomAt(), and RenderSystem
+// applies `transform` to the layer the entities live in.
+
+export class Camera {
+    /**
+     * @param {World}  world
+     * @param {object} [opts]
+     * @param {number} [opts.minZoom=0.2]
+     * @param {number} [opts.maxZoom=4]
+     */
+    constructor(world, { minZoom = 0.2, maxZoom = 4 } = {}) {
+        this.world          = world;
+        this.minZoom        = minZoom;
+        this.maxZoom        = maxZoom;
+        this.x              = 0;   // world point at the viewport's top-left corner
+        this.y              = 0;
+        this.zoom           = 1;
+        this.viewportWidth  = world.width;    // screen px
+        this.viewportHeight = world.height;
+    }
+
+    /** The viewport changed size (window resize). Keeps the centre in place. */
+    setViewport(width, height) {
+        const { x, y } = this.center;
+        this.viewportWidth  = width;
+        this.viewportHeight = height;
+        this.centerOn(x, y);
+    }
+
+    // ── Transforms ───────────────────────────────
+
+    worldToScreen(x, y) {
+        return { x: (x - this.x) * this.zoom, y: (y - this.y) * this.zoom };
+    }
+
+    screenToWorld(sx, sy) {
+        return { x: sx / this.zoom + this.x, y: sy / this.zoom + this.y };
+    }
+
+    /** CSS transform that puts a world-sized layer under this camera (origin 0 0). */
+    get transform() {
+        return `translate(${-this.x * this.zoom}px, ${-this.y * this.zoom}px) scale(${this.zoom})`;
+    }
+
+    /** The part of the world on screen, in world units. */
+    visibleRect() {
+        return {
+            x:      this.x,
+            y:      this.y,
+            width:  this.viewportWidth  / this.zoom,
+            height: this.viewportHeight / this.zoom,
+        };
+    }
+
+    get center() {
+        const r = this.visibleRect();
+        return { x: r.x + r.width / 2, y: r.y + r.height / 2 };
+    }
+
+    // ── Movement ─────────────────────────────────
+
+    /** Move by a drag of (dx, dy) screen px. */
+    panBy(dx, dy) {
+        this.x -= dx / this.zoom;
+        this.y -= dy / this.zoom;
+        this._clamp();
+    }
+
+    /** Zoom by factor, keeping the world point under screen (sx, sy) where it is. */
+    zoomAt(factor, sx = this.viewportWidth / 2, sy = this.viewportHeight / 2) {
+        const anchor = this.screenToWorld(sx, sy);
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+        this.x    = anchor.x - sx / this.zoom;
+        this.y    = anchor.y - sy / this.zoom;
+        this._clamp();
+    }
+
+    centerOn(x, y) {
+        this.x = x - this.viewportWidth  / this.zoom / 2;
+        this.y = y - this.viewportHeight / this.zoom / 2;
+        this._clamp();
+    }
+
+    /** Zoom out (or in) until the whole world just fits, and centre it. */
+    fit() {
+        const z = Math.min(this.viewportWidth / this.world.width, this.viewportHeight / this.world.height);
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, z));
+        this.centerOn(this.world.width / 2, this.world.height / 2);
+    }
+
+    // ── Internals ────────────────────────────────
+
+    /** Keep the view inside the world; along an axis where it all fits, centre it. */
+    _clamp() {
+        this.x = _clampAxis(this.x, this.viewportWidth  / this.zoom, this.world.width);
+        this.y = _clampAxis(this.y, this.viewportHeight / this.zoom, this.world.height);
+    }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _clampAxis(pos, view, size) {
+    return view >= size ? (size - view) / 2 : Math.max(0, Math.min(pos, size - view));
+}
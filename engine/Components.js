@@ -0,0 +1,143 @@
+// engine/Components.js
+// Optional component layer next to the entity class hierarchy.
+// An entity (any object with x/y) can carry plain-data components; the
+// component systems in Systems/ComponentSystems.js iterate over everything
+// holding a given set, whatever its class. EntityManager owns the store
+// (entities.components) and drops an entity's components when it is removed.
+//
+// Species opt in from data: a `components` block in SpeciesRegistry gives a
+// creature its behaviour without a new subclass (see Spawners.spawnSpecies).
+// The class-based creatures only use Falling so far; their hunger, energy,
+// age and breeding cooldowns are still fields of their own.
+
+/**
+ * Built-in components. Each factory takes the init values and the entity and
+ * returns the component's data; unspecified fields fall back to the species.
+ * Position is a marker: the position itself stays on entity.x / entity.y,
+ * where grids, queries and rendering already read it. Velocity makes
+ * MovementSystem steer the entity at `speed` (species units), by the
+ * species' steering weights; the velocity itself is entity.vx / entity.vy.
+ */
+export const COMPONENTS = {
+    Position:   ()        => ({}),
+    Velocity:   (init, e) => ({ speed: e.speciesDef?.speed ?? 0, ...init }),
+    Age:        (init, e) => ({ age: 0, maxAge: e.speciesDef?.maxAge ?? Infinity, ...init }),
+    Hunger:     (init)    => ({ value: 100, max: 100, rate: 0.5, ...init }),
+    Energy:     (init)    => ({ value: 100, max: 100, rate: 0.2, ...init }),
+    Reproducer: (init)    => ({ cooldown: 0, interval: 20, radius: 80, ...init }),
+    Falling:    (init)    => ({ vy: 0, gravity: 300, landY: null, ...init }),
+    Renderable: (init, e) => ({
+        emoji:     e.speciesDef?.emoji ?? '?',
+        size:      e.speciesDef?.size  ?? 24,
+        className: e.speciesDef?.cssClass ?? '',
+        ...init,
+    }),
+};
+
+export class ComponentStore {
+    constructor(defs = COMPONENTS) {
+        this._defs   = new Map(Object.entries(defs));
+        this._stores = new Map();   // component name → Map(entity → data)
+        for (const name of this._defs.keys()) this._stores.set(name, new Map());
+    }
+
+    /** Register a new component type. factory(init, entity) → data. */
+    define(name, factory) {
+        if (this._defs.has(name)) throw new Error(`ComponentStore: component "${name}" already defined`);
+        this._defs.set(name, factory);
+        this._stores.set(name, new Map());
+        return this;
+    }
+
+    /** Attach (or replace) a component. Returns its data. */
+    add(entity, name, init = {}) {
+        const factory = this._defs.get(name);
+        if (!factory) throw new Error(`ComponentStore: unknown component "${name}"`);
+        const data = factory(init, entity);
+        this._stores.get(name).set(entity, data);
+        return data;
+    }
+
+    /** Attach a { Name: init, … } block, e.g. a species' components. */
+    addAll(entity, block) {
+        for (const [name, init] of Object.entries(block)) this.add(entity, name, init ?? {});
+        return entity;
+    }
+
+    get(entity, name) {
+        return this._stores.get(name)?.get(entity) ?? null;
+    }
+
+    has(entity, name) {
+        return this._stores.get(name)?.has(entity) ?? false;
+    }
+
+    remove(entity, name) {
+        this._stores.get(name)?.delete(entity);
+    }
+
+    removeAll(entity) {
+        for (const store of this._stores.values()) store.delete(entity);
+    }
+
+    /** Entities holding every named component, in the order they got the first of them. */
+    query(names) {
+        const stores = names.map(n => {
+            const s = this._stores.get(n);
+            if (!s) throw new Error(`ComponentStore: unknown component "${n}"`);
+            return s;
+        });
+        const [first, ...rest] = stores;
+        const out = [];
+        for (const entity of first.keys())
+            if (rest.every(s => s.has(entity))) out.push(entity);
+        return out;
+    }
+
+    /** fn(entity, ...componentData) for every entity holding all of names. */
+    each(names, fn) {
+        for (const entity of this.query(names))
+            fn(entity, ...names.map(n => this._stores.get(n).get(entity)));
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    /** Every component's data, copied; entities kept by reference. */
+    snapshot() {
+        const out = {};
+        for (const [name, store] of this._stores)
+            out[name] = [...store].map(([entity, data]) => [entity, { ...data }]);
+        return out;
+    }
+
+    restore(s) {
+        for (const [name, store] of this._stores) {
+            store.clear();
+            for (const [entity, data] of s[name] ?? []) store.set(entity, { ...data });
+        }
+    }
+}
+
+/**
+ * Bare entity for species built entirely from components. Its update() is a
+ * no-op — the component systems do the work.
+ */
+export class ComponentEntity {
+    constructor(id, x, y, speciesDef) {
+        this.id         = id;
+        this.x          = x;
+        this.y          = y;
+        this.speciesDef = speciesDef;
+        this.vx         = 0;      // moved by MovementSystem when it carries Velocity
+        this.vy         = 0;
+        this.element    = null;   // assigned by RenderSystem
+        this.dead       = false;
+    }
+
+    update() {}
+
+    destroy() {
+        this.element?.remove();
+        this.element = null;
+    }
+}
@@ -1,25 +1,175 @@
 // engine/Core.js
 // The main engine loop. Knows nothing about ducks, fish, or oceans.
 // Add systems via addSystem(). Call start() to begin.
+//
+// Every system has a unique name. Run order within a phase is: before/after
+// constraints first, then ascending priority (default 0), then insertion
+// order. Systems can be disabled, removed or replaced at runtime; optional
+// init(engine) / dispose(engine) hooks run on add and remove.
+//
+// Systems run in one of two phases:
+//   'step'  (default) — simulation. Runs once per simulation step with the
+//                       step's dt. In fixed-timestep mode every step gets the
+//                       same dt, so a run is reproducible frame for frame.
+//   'frame'           — presentation (render, HUD). Runs once per displayed
+//                       frame with the real frame dt, however many steps ran.
+//
+// engine.profiler times every system update while it is enabled; see
+// Profiler.js.
+//
+// Systems that keep simulation state of their own can expose snapshot() /
+// restore(state); engine.snapshot() collects them along with the clock, so a
+// Replay can rewind the whole run.
+
+import { Profiler } from './Profiler.js';
+
+export const MIN_TIME_SCALE = 0.25;
+export const MAX_TIME_SCALE = 16;
+
+// Longest real frame we honour — anything longer (hidden tab, breakpoint)
+// is treated as this long so the simulation never leaps ahead.
+const MAX_FRAME_DT = 0.1;
 
 export class Engine {
-    constructor({ targetFPS = 60 } = {}) {
-        this.targetFPS      = targetFPS;
-        this.targetFrameMs  = 1000 / targetFPS;
-        this.systems        = [];
-        this.isRunning      = false;
-        this._lastTime      = 0;
-        this._rafId         = null;
+    /**
+     * @param {object}  [opts]
+     * @param {number}  [opts.targetFPS=60]          display frame cap
+     * @param {object}  [opts.world]                 World — consulted for isPaused; its
+     *                                               scheduler is advanced every step
+     * @param {boolean} [opts.fixedTimestep=false]   use the accumulator loop
+     * @param {number}  [opts.stepDt]                seconds per fixed step (default 1/targetFPS)
+     * @param {number}  [opts.maxStepsPerFrame=64]   fixed steps allowed per frame before time is dropped
+     * @param {number}  [opts.timeScale=1]           simulation speed multiplier
+     */
+    constructor({
+        targetFPS        = 60,
+        world            = null,
+        fixedTimestep    = false,
+        stepDt           = 1 / targetFPS,
+        maxStepsPerFrame = 64,
+        timeScale        = 1,
+    } = {}) {
+        this.targetFPS        = targetFPS;
+        this.targetFrameMs    = 1000 / targetFPS;
+        this.world            = world;
+        this.fixedTimestep    = fixedTimestep;
+        this.stepDt           = stepDt;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.timeScale        = 1;
+        this.isRunning        = false;
+        this.simTime          = 0;   // seconds of simulation advanced so far
+        this.stepCount        = 0;
+        this._accumulator     = 0;
+        this._entries         = [];    // { name, system, priority, before, after, enabled, seq }
+        this._ordered         = null;  // cached run order, rebuilt when entries change
+        this._nextSeq         = 0;
+        this._lastTime        = 0;
+        this._rafId           = null;
+        this.profiler         = new Profiler();
 
+        this.setTimeScale(timeScale);
         this._loop = this._loop.bind(this);
     }
 
-    /** Register a system. Systems are updated in insertion order. */
-    addSystem(system) {
-        this.systems.push(system);
+    // ── Systems ──────────────────────────────────
+
+    /**
+     * Register a system. Options fall back to same-named properties on the
+     * system itself, and the name to its class name.
+     * @param {object} system                     anything with update(dt, time)
+     * @param {object} [opts]
+     * @param {string} [opts.name]                unique; required for plain objects
+     * @param {number} [opts.priority=0]          lower runs earlier
+     * @param {string|string[]} [opts.before]     names this system must run before
+     * @param {string|string[]} [opts.after]      names this system must run after
+     * @param {boolean} [opts.enabled=true]
+     * @throws if the before/after constraints form a cycle; nothing is added
+     */
+    addSystem(system, opts = {}) {
+        const name = opts.name ?? system.name ?? _className(system);
+        if (!name) throw new Error('Engine.addSystem: plain-object systems need a name');
+        if (this._find(name)) throw new Error(`Engine.addSystem: a system named "${name}" already exists`);
+
+        this._entries.push({
+            name,
+            system,
+            priority: opts.priority ?? system.priority ?? 0,
+            before:   _list(opts.before ?? system.before),
+            after:    _list(opts.after  ?? system.after),
+            enabled:  opts.enabled ?? true,
+            seq:      this._nextSeq++,
+        });
+        this._ordered = null;
+        try {
+            this._order();
+        } catch (err) {
+            this._entries.pop();
+            this._ordered = null;
+            throw err;
+        }
+        system.init?.(this);
         return this; // chainable
     }
 
+    /** Unregister by name, calling its dispose hook. Returns the removed system. */
+    removeSystem(name) {
+        const entry = this._find(name);
+        if (!entry) return null;
+        this._entries.splice(this._entries.indexOf(entry), 1);
+        this._ordered = null;
+        entry.system.dispose?.(this);
+        return entry.system;
+    }
+
+    /**
+     * Swap the system registered under name, keeping its ordering options —
+     * the run order stays as it was, so a swap can't create a cycle.
+     */
+    replaceSystem(name, system) {
+        const entry = this._find(name);
+        if (!entry) throw new Error(`Engine.replaceSystem: no system named "${name}"`);
+        entry.system.dispose?.(this);
+        entry.system = system;
+        system.init?.(this);
+        return this;
+    }
+
+    getSystem(name) {
+        return this._find(name)?.system ?? null;
+    }
+
+    setEnabled(name, enabled) {
+        const entry = this._find(name);
+        if (!entry) throw new Error(`Engine.setEnabled: no system named "${name}"`);
+        entry.enabled = !!enabled;
+        return this;
+    }
+
+    isEnabled(name) {
+        return this._find(name)?.enabled ?? false;
+    }
+
+    /** Registered systems in run order: [{ name, phase, priority, enabled }]. */
+    listSystems() {
+        return this._order().map(e => ({
+            name:     e.name,
+            phase:    e.system.phase ?? 'step',
+            priority: e.priority,
+            enabled:  e.enabled,
+        }));
+    }
+
+    /** System objects in run order. */
+    get systems() {
+        return this._order().map(e => e.system);
+    }
+
+    /** Clamp to [MIN_TIME_SCALE, MAX_TIME_SCALE]. Returns the applied scale. */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(MIN_TIME_SCALE, Math.min(MAX_TIME_SCALE, scale));
+        return this.timeScale;
+    }
+
     start() {
         if (this.isRunning) return;
         this.isRunning = true;
@@ -31,6 +181,52 @@ export class Engine {
         if (this._rafId) cancelAnimationFrame(this._rafId);
     }
 
+    // ── Manual stepping ──────────────────────────────
+
+    /** Advance exactly one simulation step, even while paused. */
+    stepOnce() {
+        this.stepN(1);
+    }
+
+    /**
+     * Advance n simulation steps of stepDt each, even while paused, then
+     * run the frame phase once so the screen reflects the result.
+     */
+    stepN(n) {
+        const t0     = this.profiler.enabled ? this.profiler.now() : 0;
+        const world  = this.world;
+        const paused = world?.isPaused ?? false;
+        if (world) world.isPaused = false;
+        for (let i = 0; i < n; i++) this._step(this.stepDt);
+        if (world) world.isPaused = paused;
+        this._runPhase('frame', 0, this._now());
+        if (this.profiler.enabled) this.profiler.endFrame(this.profiler.now() - t0);
+    }
+
+    // ── State (for save/replay) ──────────────────────
+
+    snapshot() {
+        const systems = {};
+        for (const e of this._entries)
+            if (typeof e.system.snapshot === 'function') systems[e.name] = e.system.snapshot();
+        return {
+            simTime:     this.simTime,
+            stepCount:   this.stepCount,
+            accumulator: this._accumulator,
+            systems,
+        };
+    }
+
+    restore(s) {
+        this.simTime      = s.simTime;
+        this.stepCount    = s.stepCount;
+        this._accumulator = s.accumulator;
+        for (const e of this._entries)
+            if (e.name in s.systems) e.system.restore?.(s.systems[e.name]);
+    }
+
+    // ── Loop ─────────────────────────────────────────
+
     _loop(currentTime) {
         if (!this.isRunning) return;
         this._rafId = requestAnimationFrame(this._loop);
@@ -39,13 +235,118 @@ export class Engine {
 
         // Skip frames that arrive too early (FPS cap)
         if (elapsed < this.targetFrameMs) return;
-
-        // Cap dt to avoid huge jumps after tab becomes hidden
-        const dt = Math.min(elapsed / 1000, 0.1);
         this._lastTime = currentTime - (elapsed % this.targetFrameMs);
 
-        for (const system of this.systems) {
-            system.update(dt, currentTime);
+        this.advance(elapsed / 1000, currentTime);
+    }
+
+    /**
+     * Advance by one displayed frame of realDt seconds. Called by the rAF
+     * loop; headless drivers call it directly with their own clock.
+     */
+    advance(realDt, currentTime = this._now()) {
+        const frameDt = Math.min(realDt, MAX_FRAME_DT);
+        const t0      = this.profiler.enabled ? this.profiler.now() : 0;
+
+        if (this.fixedTimestep) {
+            if (!this.world?.isPaused) {
+                const maxBacklog = this.stepDt * this.maxStepsPerFrame;
+                this._accumulator = Math.min(this._accumulator + frameDt * this.timeScale, maxBacklog);
+                // Epsilon absorbs float drift so advance(stepDt) is always exactly one step
+                while (this._accumulator + 1e-9 >= this.stepDt) {
+                    this._step(this.stepDt);
+                    this._accumulator -= this.stepDt;
+                }
+            }
+        } else if (!this.world?.isPaused) {
+            this._step(frameDt * this.timeScale);
+        }
+
+        this._runPhase('frame', frameDt, currentTime);
+        if (this.profiler.enabled) this.profiler.endFrame(this.profiler.now() - t0);
+    }
+
+    _step(dt) {
+        this.simTime += dt;
+        this.stepCount++;
+        // Timers fire before systems so their effects are seen this step
+        if (this.world && !this.world.isPaused) this.world.scheduler?.update(dt);
+        this._runPhase('step', dt, this.simTime * 1000);
+    }
+
+    _runPhase(phase, dt, time) {
+        const profiler = this.profiler.enabled ? this.profiler : null;
+        for (const entry of this._order()) {
+            if (!entry.enabled) continue;
+            const system = entry.system;
+            if ((system.phase ?? 'step') !== phase) continue;
+            if (!profiler) {
+                system.update(dt, time);
+                continue;
+            }
+            const t0 = profiler.now();
+            system.update(dt, time);
+            profiler.add(`system:${entry.name}`, profiler.now() - t0);
+        }
+    }
+
+    _find(name) {
+        return this._entries.find(e => e.name === name);
+    }
+
+    /**
+     * Topological sort over before/after constraints. Among systems that are
+     * free to run next, the lowest (priority, seq) wins. Constraints naming
+     * systems that aren't registered are ignored.
+     */
+    _order() {
+        if (this._ordered) return this._ordered;
+
+        const byName = new Map(this._entries.map(e => [e.name, e]));
+        const edges  = new Map(this._entries.map(e => [e, new Set()]));
+        const inDeg  = new Map(this._entries.map(e => [e, 0]));
+        const link = (from, to) => {
+            if (!from || !to || edges.get(from).has(to)) return;
+            edges.get(from).add(to);
+            inDeg.set(to, inDeg.get(to) + 1);
+        };
+        for (const e of this._entries) {
+            for (const n of e.before) link(e, byName.get(n));
+            for (const n of e.after)  link(byName.get(n), e);
+        }
+
+        const ready   = this._entries.filter(e => inDeg.get(e) === 0);
+        const ordered = [];
+        while (ready.length) {
+            ready.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+            const next = ready.shift();
+            ordered.push(next);
+            for (const to of edges.get(next)) {
+                inDeg.set(to, inDeg.get(to) - 1);
+                if (inDeg.get(to) === 0) ready.push(to);
+            }
+        }
+
+        if (ordered.length < this._entries.length) {
+            const stuck = this._entries.filter(e => !ordered.includes(e)).map(e => e.name);
+            throw new Error(`Engine: circular before/after constraints between ${stuck.join(', ')}`);
         }
+        return (this._ordered = ordered);
     }
+
+    _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _list(v) {
+    return v == null ? [] : Array.isArray(v) ? v : [v];
+}
+
+/** Class name of a class instance, or null for plain objects. */
+function _className(obj) {
+    const ctor = Object.getPrototypeOf(obj)?.constructor;
+    return ctor && ctor !== Object ? ctor.name : null;
 }
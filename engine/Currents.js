@@ -0,0 +1,71 @@
+// engine/Currents.js
+// Procedural ocean currents: a velocity field over the world that evolves
+// with simulation time. Owned by World (world.currents); CurrentSystem
+// drifts entities along it.
+//
+// The swirl is the curl of a stream function made of a few slowly moving
+// sine waves, so it forms eddies with no sources or sinks — drifting things
+// circulate instead of piling up in one spot. A tidal drift along the
+// surface sways back and forth on top, and everything fades with depth.
+//
+// Velocity is a pure function of (x, y, world.time) with parameters drawn
+// once from world.rng, so there is no state of its own to save or replay.
+
+const WAVES = 4;
+const TAU   = Math.PI * 2;
+
+export class Currents {
+    /**
+     * @param {World}  world
+     * @param {object} [opts]
+     * @param {number} [opts.strength=12]    peak surface speed, px/s (0 = still water)
+     * @param {number} [opts.depthScale=0.35] fraction of the ocean's depth over which
+     *                                        currents fall to ~37% of their surface speed
+     */
+    constructor(world, { strength = 12, depthScale = 0.35 } = {}) {
+        this.world      = world;
+        this.strength   = strength;
+        this.depthScale = depthScale;
+
+        const rng     = world.rng;
+        const weights = Array.from({ length: WAVES }, () => 0.5 + rng.next());
+        const total   = weights.reduce((a, b) => a + b, 0);
+        this._waves   = weights.map(w => {
+            const k     = TAU / rng.range(300, 900);   // wavelength in px
+            const angle = rng.next() * TAU;
+            return {
+                kx:    k * Math.cos(angle),
+                ky:    k * Math.sin(angle),
+                share: w / total * 0.7,                // of the peak speed; the tide has the rest
+                omega: rng.spread(0.1),                // rad/s — how fast the pattern shifts
+                phase: rng.next() * TAU,
+            };
+        });
+        this._tide = { omega: TAU / rng.range(90, 150), phase: rng.next() * TAU };
+    }
+
+    /**
+     * Current at (x, y) in px/s, written into `out`. Above the surface it is
+     * the surface current.
+     */
+    at(x, y, out = { x: 0, y: 0 }) {
+        const w = this.world;
+        const t = w.time;
+        let vx = 0, vy = 0;
+
+        // Curl of ψ = Σ (a/|k|)·sin(k·p + ωt + φ):  v = (∂ψ/∂y, −∂ψ/∂x)
+        for (const wave of this._waves) {
+            const c = wave.share * Math.cos(wave.kx * x + wave.ky * y + wave.omega * t + wave.phase)
+                    / Math.hypot(wave.kx, wave.ky);
+            vx += wave.ky * c;
+            vy -= wave.kx * c;
+        }
+        vx += 0.3 * Math.sin(this._tide.omega * t + this._tide.phase);
+
+        const depth = Math.max(0, y - w.oceanTop) / (w.height - w.oceanTop);
+        const scale = this.strength * Math.exp(-depth / this.depthScale);
+        out.x = vx * scale;
+        out.y = vy * scale;
+        return out;
+    }
+}
@@ -2,58 +2,59 @@
 // Central registry for all live entities.
 // Systems read from here. Spawners write to here.
 // Deferred removal prevents splice-during-iteration bugs.
+// Knows no pool names: the game declares its pools with registerPool()
+// (see game/Pools.js), and every entity remembers which one it lives in.
+// IDs are unique across all pools; getById() and EntityRef resolve them.
+// snapshot() / restore() rewind every pool in place, for Replay.
 
-import { SpatialGrid } from './SpatialGrid.js';
-import { Events }      from './EventBus.js';
+import { SpatialGrid }    from './SpatialGrid.js';
+import { Events }         from './EventBus.js';
+import { ComponentStore } from './Components.js';
 
-// Which gameState arrays feed which spatial grid
-const GRID_MAP = {
-    ducks:        'ducks',
-    fish:         'fish',
-    food:         'food',
-    seaCreatures: 'creatures',
-};
+/**
+ * Weak handle to an entity: holds only its ID and resolves through the
+ * manager, so it never keeps a dead entity reachable. Made by entities.ref().
+ */
+export class EntityRef {
+    constructor(manager, id) {
+        this._manager = manager;
+        this.id       = id;
+    }
+
+    /** The entity, or null once it has died or left the manager. */
+    get() {
+        const e = this._manager.getById(this.id);
+        return e && !e.dead ? e : null;
+    }
+
+    get alive() { return this.get() !== null; }
+}
 
 export class EntityManager {
     constructor(bus, config) {
-        this.bus = bus;
+        this.bus    = bus;
+        this.config = config;
 
         // ── Entity pools ────────────────────────────
-        this.ducks        = [];
-        this.fish         = [];
-        this.food         = [];
-        this.eggs         = [];
-        this.algae        = [];
-        this.seagrass     = [];
-        this.kelp         = [];
-        this.octopi       = [];
-        this.elixirs      = [];
-        this.islands      = [];
-        this.seaCreatures = [];
-        this.predators    = [];
-
-        // ── ID counters ─────────────────────────────
-        this.nextDuckId      = 1;
-        this.nextFishId      = 1;
-        this.nextFoodId      = 1;
-        this.nextEggId       = 1;
-        this.nextAlgaeId     = 1;
-        this.nextSeagrassId  = 1;
-        this.nextOctopusId   = 1;
-        this.nextElixirId    = 1;
-        this.nextIslandId    = 1;
-        this.nextKelpId      = 1;
-        this.nextCreatureId  = 1;
-        this.nextPredatorId  = 1;
-
-        // ── Spatial grids ────────────────────────────
-        const gs = config.SPATIAL_GRID_SIZE;
-        this.grids = {
-            ducks:    new SpatialGrid(gs),
-            fish:     new SpatialGrid(gs),
-            food:     new SpatialGrid(gs),
-            creatures:new SpatialGrid(gs),
-        };
+        // Registered by the game via registerPool(); each pool is also exposed
+        // as a plain array property (entities.ducks, entities.fish, …).
+        this._pools       = new Map();   // name → { name, list, grid, order, update, seq }
+        this._allArrays   = null;        // cached, rebuilt when pools change
+        this._updateLists = null;
+
+        // ── IDs (global across pools) ────────────────
+        this._nextId = 1;
+        this._byId   = new Map();        // id → live entity
+
+        // ── Population counters (kept on add/remove) ─
+        this._speciesCounts = new Map(); // species id → live count
+        this._speciesOf     = new Map(); // entity → species id it is counted under
+
+        // ── Components (optional per-entity data, see Components.js) ──
+        this.components = new ComponentStore();
+
+        // ── Spatial grids (created on demand by registerPool) ──
+        this.grids = {};
 
         // ── Deferred removal queue ───────────────────
         this._removeQueue = [];
@@ -63,42 +64,138 @@ export class EntityManager {
         this.biodiversity   = 100;
     }
 
+    // ── Pool registry ────────────────────────────────
+
+    /**
+     * Declare an entity pool.
+     * @param {string}  name              property the array is exposed under
+     * @param {object}  [opts]
+     * @param {string}  [opts.grid]       spatial grid this pool's entities can join
+     *                                    (pools may share one)
+     * @param {number}  [opts.order=0]    update order, lower first; ties keep
+     *                                    registration order
+     * @param {boolean} [opts.update=true] whether the per-entity update pass runs
+     *                                    over this pool
+     */
+    registerPool(name, { grid = null, order = 0, update = true } = {}) {
+        if (this._pools.has(name)) throw new Error(`EntityManager: pool "${name}" already registered`);
+        if (name in this)          throw new Error(`EntityManager: pool name "${name}" clashes with a property`);
+
+        const list = [];
+        this[name] = list;
+        this._pools.set(name, { name, list, grid, order, update, seq: this._pools.size });
+        if (grid && !this.grids[grid]) this.grids[grid] = new SpatialGrid(this.config.SPATIAL_GRID_SIZE);
+
+        this._allArrays   = null;
+        this._updateLists = null;
+        return this;
+    }
+
+    /** Register a table of { name, ...opts } in order. */
+    registerPools(defs) {
+        for (const { name, ...opts } of defs) this.registerPool(name, opts);
+        return this;
+    }
+
+    hasPool(name) {
+        return this._pools.has(name);
+    }
+
+    /** Registered pool names, in registration order. */
+    get poolNames() {
+        return [...this._pools.keys()];
+    }
+
+    // ── IDs and lookup ───────────────────────────────
+
+    /** A fresh ID, unique across every pool for the life of this manager. */
+    nextId() {
+        return this._nextId++;
+    }
+
+    /** The live entity with this ID, or null. */
+    getById(id) {
+        return this._byId.get(id) ?? null;
+    }
+
+    /** Weak reference to entity (see EntityRef). */
+    ref(entity) {
+        return new EntityRef(this, entity.id);
+    }
+
     // ── All arrays (for iteration and biodiversity scan) ──
 
     get allArrays() {
-        return [
-            this.ducks, this.fish, this.food, this.eggs,
-            this.algae, this.seagrass, this.kelp,
-            this.octopi, this.elixirs, this.seaCreatures, this.predators,
-        ];
+        return this._allArrays ??= [...this._pools.values()].map(p => p.list);
+    }
+
+    /** Arrays the per-entity update pass walks, in update order. */
+    get updateArrays() {
+        return this._updateLists ??= [...this._pools.values()]
+            .filter(p => p.update)
+            .sort((a, b) => a.order - b.order || a.seq - b.seq)
+            .map(p => p.list);
     }
 
-    // ── Population cap helpers ───────────────────────
+    // ── Population counters ──────────────────────────
+    // Maintained incrementally on add / remove / setSpecies, so caps, HUD and
+    // biodiversity never have to walk the pools.
 
     countSpecies(speciesDef) {
-        let n = 0;
-        for (const arr of this.allArrays)
-            for (const e of arr)
-                if (e.speciesDef?.id === speciesDef.id) n++;
-        return n;
+        return this._speciesCounts.get(speciesDef.id) ?? 0;
+    }
+
+    countPool(name) {
+        return this._pool(name, 'countPool').list.length;
     }
 
     canSpawn(speciesDef) {
         return this.countSpecies(speciesDef) < speciesDef.MAX_COUNT;
     }
 
+    /** Switch an entity to another species (e.g. baby shrimp growing up), keeping counts right. */
+    setSpecies(entity, speciesDef) {
+        if (this._speciesOf.has(entity)) {
+            this._uncount(entity);
+            entity.speciesDef = speciesDef;
+            this._count(entity);
+        } else {
+            entity.speciesDef = speciesDef;
+        }
+    }
+
+    /**
+     * Live counts: { total, pools: { name: n }, species: { id: n } }.
+     * Species with no live members are omitted.
+     */
+    populationSnapshot() {
+        const pools = {};
+        let total = 0;
+        for (const p of this._pools.values()) {
+            pools[p.name] = p.list.length;
+            total += p.list.length;
+        }
+        return { total, pools, species: Object.fromEntries(this._speciesCounts) };
+    }
+
     // ── Addition ─────────────────────────────────────
 
     /**
      * Add an entity to a named pool.
      * @param {object} entity
-     * @param {string} poolKey  - e.g. 'ducks', 'fish', 'food'
-     * @param {boolean} useGrid - whether to register in the spatial grid
+     * @param {string} poolKey  - a registered pool, e.g. 'ducks', 'fish', 'food'
+     * @param {boolean} useGrid - whether to register in the pool's spatial grid
      */
     add(entity, poolKey, useGrid = false) {
-        this[poolKey].push(entity);
-        if (useGrid && GRID_MAP[poolKey]) {
-            this.grids[GRID_MAP[poolKey]].add(entity);
+        const pool = this._pool(poolKey, 'add');
+        if (this._byId.has(entity.id))
+            throw new Error(`EntityManager.add: ID ${entity.id} is already in use`);
+        pool.list.push(entity);
+        entity.poolKey = poolKey;
+        this._byId.set(entity.id, entity);
+        this._count(entity);
+        if (useGrid && pool.grid) {
+            this.grids[pool.grid].add(entity);
         }
         this.bus.emit(Events.ENTITY_SPAWNED, { entity, poolKey });
         this.bus.emit(Events.HUD_REFRESH);
@@ -106,6 +203,20 @@ export class EntityManager {
 
     // ── Removal ──────────────────────────────────────
 
+    /**
+     * The one way a creature dies: marks it dead with its cause, emits
+     * ENTITY_DIED and queues its removal. A second call is ignored.
+     * @param {object} entity
+     * @param {string} cause  'age' | 'starvation' | 'exhaustion' | 'predation' | 'toxicity' | 'disease'
+     */
+    kill(entity, cause) {
+        if (entity.deathCause) return;
+        entity.dead       = true;
+        entity.deathCause = cause;
+        this.bus.emit(Events.ENTITY_DIED, { entity, cause });
+        this.queueRemove(entity);
+    }
+
     /** Queue removal — safe to call mid-iteration. Flushed at frame end. */
     queueRemove(entity) {
         if (!this._removeQueue.includes(entity))
@@ -114,32 +225,138 @@ export class EntityManager {
 
     /** Immediate removal — avoid calling inside entity loops. */
     remove(entity) {
-        const pools = [
-            'ducks','fish','food','eggs','algae','seagrass','kelp',
-            'octopi','elixirs','islands','seaCreatures','predators',
-        ];
-        for (const key of pools) {
-            const arr = this[key];
-            const idx = arr.indexOf(entity);
-            if (idx > -1) {
-                arr.splice(idx, 1);
-                if (GRID_MAP[key]) this.grids[GRID_MAP[key]].remove(entity);
-                entity.destroy?.();
-                this.bus.emit(Events.ENTITY_REMOVED, { entity });
-                this.bus.emit(Events.HUD_REFRESH);
-                return;
-            }
-        }
+        if (!this._isLive(entity)) return;
+        const list = this._pools.get(entity.poolKey).list;
+        list.splice(list.indexOf(entity), 1);
+        this._detach(entity);
     }
 
-    /** Call at the end of each frame to process queued removals. */
+    /**
+     * Call at the end of each frame to process queued removals. Each pool
+     * that lost entities is compacted once, however many it lost.
+     */
     flushRemovals() {
-        for (const e of this._removeQueue) this.remove(e);
+        if (!this._removeQueue.length) return;
+        const gone = new Set(this._removeQueue.filter(e => this._isLive(e)));
         this._removeQueue.length = 0;
+
+        for (const name of new Set([...gone].map(e => e.poolKey))) {
+            const list = this._pools.get(name).list;
+            let n = 0;
+            for (const e of list) if (!gone.has(e)) list[n++] = e;
+            list.length = n;
+        }
+        for (const e of gone) this._detach(e);
+    }
+
+    // ── Queries ──────────────────────────────────────
+
+    /**
+     * Dead, or falling — dropped in from above the water, a class creature's
+     * own flag or the Falling component. The systems that move, feed and age
+     * creatures all skip these.
+     */
+    isDeadOrFalling(entity) {
+        return !!(entity.dead || entity.isFalling || entity._falling ||
+                  this.components.has(entity, 'Falling'));
+    }
+
+    /**
+     * Hunger, 0 (starving) to 100 (full): the Hunger component's value when
+     * the entity has one, else its own `hunger` field (undefined if neither).
+     */
+    hungerOf(entity) {
+        return this.components.get(entity, 'Hunger')?.value ?? entity.hunger;
+    }
+
+    /** Energy the same way: the Energy component's value, else entity.energy. */
+    energyOf(entity) {
+        return this.components.get(entity, 'Energy')?.value ?? entity.energy;
+    }
+
+    /**
+     * Find entities declaratively. Every option is optional; results keep pool
+     * and array order unless sortBy says otherwise.
+     *
+     *   entities.query({ pools: ['algae', 'kelp'], tags: ['!toxic'],
+     *                    near: { x, y, radius: 80 }, sortBy: 'distance', limit: 3 })
+     *
+     * @param {object}   [q]
+     * @param {string|string[]} [q.pools]    pool names (default: every pool)
+     * @param {object|string|Array} [q.species] speciesDefs or species ids
+     * @param {string[]} [q.tags]     all must match; '!tag' must not. Read from
+     *                                entity.tags, else entity.speciesDef.tags
+     * @param {{x:number, y:number, radius?:number}} [q.near]
+     *                                with radius: only entities within it, found
+     *                                through the pool's spatial grid when it holds
+     *                                the whole pool; without: just the sort origin
+     * @param {Function} [q.where]    (entity) => boolean
+     * @param {number}   [q.limit]
+     * @param {'distance'|Function} [q.sortBy]  'distance' from near, or a comparator
+     * @returns {object[]}
+     */
+    query({ pools = null, species = null, tags = null, near = null, where = null,
+            limit = Infinity, sortBy = null } = {}) {
+        const poolDefs = pools == null
+            ? [...this._pools.values()]
+            : _asList(pools).map(name => this._pool(name, 'query'));
+        const speciesIds = species == null ? null
+            : new Set(_asList(species).map(s => typeof s === 'string' ? s : s.id));
+        const tagList = tags == null ? null : _asList(tags);
+        const radius  = near?.radius ?? Infinity;
+        const r2      = radius * radius;
+        const byDist  = sortBy === 'distance';
+        if (byDist && !near) throw new Error("EntityManager.query: sortBy 'distance' needs near");
+
+        // Without a sort, the first `limit` matches are the answer
+        const early = sortBy ? Infinity : limit;
+        const out   = [];
+
+        for (const pool of poolDefs) {
+            const candidates = radius < Infinity && this._gridCovers(pool)
+                ? this.grids[pool.grid].getNearby(near.x, near.y, radius)
+                : pool.list;
+
+            for (const e of candidates) {
+                if (e.poolKey !== pool.name) continue;   // shared grid, other pool
+                if (speciesIds && !speciesIds.has(e.speciesDef?.id)) continue;
+                if (tagList && !_matchesTags(e, tagList)) continue;
+                if (radius < Infinity) {
+                    const dx = e.x - near.x, dy = e.y - near.y;
+                    if (dx * dx + dy * dy > r2) continue;
+                }
+                if (where && !where(e)) continue;
+                out.push(e);
+                if (out.length >= early) return out;
+            }
+        }
+
+        if (byDist) {
+            const d2 = e => (e.x - near.x) ** 2 + (e.y - near.y) ** 2;
+            out.sort((a, b) => d2(a) - d2(b));
+        } else if (typeof sortBy === 'function') {
+            out.sort(sortBy);
+        }
+        if (out.length > limit) out.length = limit;
+        return out;
     }
 
     // ── Spatial grid helpers ─────────────────────────
 
+    /**
+     * Re-file every grid entry whose entity has moved cells. SpatialIndexSystem
+     * calls this once per step after everything has moved.
+     */
+    refreshGrids() {
+        for (const grid of Object.values(this.grids)) grid.refreshAll();
+    }
+
+    /** Put an entity that was added without useGrid into its pool's grid. */
+    joinGrid(entity) {
+        const pool = this._pools.get(entity.poolKey);
+        if (pool?.grid) this.grids[pool.grid].add(entity);
+    }
+
     updateGrid(entity, oldX, oldY, gridKey) {
         this.grids[gridKey]?.update(entity, oldX, oldY);
     }
@@ -148,6 +365,69 @@ export class EntityManager {
         return this.grids[gridKey]?.getNearby(x, y, radius) ?? [];
     }
 
+    // ── State (for save/replay) ──────────────────────
+
+    /**
+     * Everything needed to put the manager back as it is now. Entities are
+     * kept by identity — scheduled closures still point at them — with a copy
+     * of their own fields (arrays one level deep; entity code replaces nested
+     * objects rather than mutating them). DOM elements are left out:
+     * RenderSystem recreates whatever is missing.
+     */
+    snapshot() {
+        const pools    = {};
+        const entities = [];   // [entity, fields]
+        for (const p of this._pools.values()) {
+            pools[p.name] = p.list.slice();
+            for (const e of p.list) entities.push([e, _copyFields(e)]);
+        }
+        const grids = {};
+        for (const [name, grid] of Object.entries(this.grids)) grids[name] = grid.snapshot();
+        return {
+            pools,
+            entities,
+            grids,
+            speciesCounts:  new Map(this._speciesCounts),   // copied, not recounted: key order shows
+            speciesOf:      new Map(this._speciesOf),
+            components:     this.components.snapshot(),
+            removeQueue:    this._removeQueue.slice(),
+            nextId:         this._nextId,
+            waterPollution: this.waterPollution,
+            biodiversity:   this.biodiversity,
+        };
+    }
+
+    /**
+     * Rewind to a snapshot. Entities added since are destroyed without an
+     * ENTITY_REMOVED event — on the restored timeline they never existed.
+     */
+    restore(s) {
+        const kept = new Set(s.entities.map(([e]) => e));
+        for (const p of this._pools.values())
+            for (const e of p.list) if (!kept.has(e)) e.destroy?.();
+
+        // Pool arrays keep their identity: they are exposed as entities.<pool>
+        for (const p of this._pools.values()) {
+            p.list.length = 0;
+            p.list.push(...(s.pools[p.name] ?? []));
+        }
+
+        this._byId.clear();
+        for (const [e, fields] of s.entities) {
+            _restoreFields(e, fields);
+            this._byId.set(e.id, e);
+        }
+        for (const [name, grid] of Object.entries(this.grids)) grid.restore(s.grids[name] ?? []);
+        this._speciesCounts = new Map(s.speciesCounts);
+        this._speciesOf     = new Map(s.speciesOf);
+
+        this.components.restore(s.components);
+        this._removeQueue   = s.removeQueue.slice();
+        this._nextId        = s.nextId;
+        this.waterPollution = s.waterPollution;
+        this.biodiversity   = s.biodiversity;
+    }
+
     // ── Utility ──────────────────────────────────────
 
     /** Find the nearest entity in an array within maxDist. */
@@ -160,4 +440,101 @@ export class EntityManager {
         }
         return nearest;
     }
+
+    /** Whether an entity is one of `species` (ids or speciesDefs, one or a list), as query() reads them. */
+    static isSpecies(entity, species) {
+        const id = entity.speciesDef?.id;
+        return _asList(species).some(s => (typeof s === 'string' ? s : s.id) === id);
+    }
+
+    /** Whether an entity carries `tags` ('!tag' must be absent), as query() reads them. */
+    static hasTags(entity, tags) {
+        return _matchesTags(entity, tags);
+    }
+
+    // ── Internals ────────────────────────────────────
+
+    /**
+     * True when the pool's grid holds every entity of every pool filed in it.
+     * Entities can be added without joining the grid (falling shrimp), and a
+     * radius query must not miss them — so those pools are scanned instead.
+     */
+    _gridCovers(pool) {
+        if (!pool.grid) return false;
+        let total = 0;
+        for (const p of this._pools.values()) if (p.grid === pool.grid) total += p.list.length;
+        return this.grids[pool.grid].size === total;
+    }
+
+    _count(entity) {
+        const id = entity.speciesDef?.id;
+        if (!id) return;
+        this._speciesCounts.set(id, (this._speciesCounts.get(id) ?? 0) + 1);
+        this._speciesOf.set(entity, id);
+    }
+
+    _uncount(entity) {
+        const id = this._speciesOf.get(entity);
+        if (id === undefined) return;
+        const n = this._speciesCounts.get(id) - 1;
+        if (n > 0) this._speciesCounts.set(id, n);
+        else       this._speciesCounts.delete(id);
+        this._speciesOf.delete(entity);
+    }
+
+    /** Whether entity is in its pool — through the ID index, no scan. */
+    _isLive(entity) {
+        return entity != null && this._byId.get(entity.id) === entity;
+    }
+
+    /** Everything removal does besides taking entity out of its pool's list. */
+    _detach(entity) {
+        const pool = this._pools.get(entity.poolKey);
+        this._byId.delete(entity.id);
+        this._uncount(entity);
+        this.components.removeAll(entity);
+        if (pool.grid) this.grids[pool.grid].remove(entity);
+        entity.destroy?.();
+        this.bus.emit(Events.ENTITY_REMOVED, { entity });
+        this.bus.emit(Events.HUD_REFRESH);
+    }
+
+    _pool(name, caller) {
+        const pool = this._pools.get(name);
+        if (!pool) throw new Error(`EntityManager.${caller}: no pool named "${name}"`);
+        return pool;
+    }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _asList(v) {
+    return Array.isArray(v) ? v : [v];
+}
+
+function _copyFields(entity) {
+    const fields = {};
+    for (const [k, v] of Object.entries(entity)) {
+        if (k === 'element') continue;
+        fields[k] = Array.isArray(v) ? v.slice() : v;
+    }
+    return fields;
+}
+
+/** Put fields back on entity, dropping any added since. element is left alone. */
+function _restoreFields(entity, fields) {
+    for (const k of Object.keys(entity))
+        if (k !== 'element' && !(k in fields)) delete entity[k];
+    for (const [k, v] of Object.entries(fields))
+        entity[k] = Array.isArray(v) ? v.slice() : v;
+}
+
+function _matchesTags(entity, tags) {
+    const own = entity.tags ?? entity.speciesDef?.tags ?? [];
+    for (const t of tags) {
+        const negate = t[0] === '!';
+        const has    = own.includes(negate ? t.slice(1) : t);
+        if (has === negate) return false;
+    }
+    return true;
 }
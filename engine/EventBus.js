@@ -1,29 +1,144 @@
 // engine/EventBus.js
 // Tiny pub/sub bus. Keeps systems and entities decoupled.
+//
+// Event names are 'namespace:name'. Listeners can subscribe to an exact name,
+// a whole namespace ('entity:*') or everything ('*'); they are called as
+// cb(payload, event) in descending priority, then subscription order. A
+// throwing listener is reported through onError and the rest still run.
+//
+// Events marked with setDeferred() are not dispatched by emit(): they queue
+// up — repeats coalesced into one, carrying the latest payload — until flush()
+// runs at a fixed point in the frame (see game/Simulation.js).
 
 export class EventBus {
-    constructor() { this._map = new Map(); }
+    /**
+     * @param {object}   [opts]
+     * @param {Function} [opts.onError]  (error, event, payload) — defaults to console.error
+     */
+    constructor({ onError = null } = {}) {
+        this._map      = new Map();   // pattern → [{ cb, priority, once, seq }]
+        this._resolved = new Map();   // event → merged, sorted listener list (cache)
+        this._deferred = new Map();   // event → coalesce?
+        this._queue    = [];          // [{ event, payload }]
+        this._nextSeq  = 0;
+        this.onError   = onError ?? ((err, event) => console.error(`EventBus: listener for "${event}" threw`, err));
+    }
 
-    /** Subscribe. Returns an unsubscribe fn. */
-    on(event, cb) {
+    /**
+     * Subscribe. Returns an unsubscribe fn.
+     * @param {string}   event              exact name, 'namespace:*' or '*'
+     * @param {Function} cb
+     * @param {object}   [opts]
+     * @param {number}   [opts.priority=0]  higher runs earlier
+     * @param {boolean}  [opts.once=false]  unsubscribe after the first call
+     */
+    on(event, cb, { priority = 0, once = false } = {}) {
         if (!this._map.has(event)) this._map.set(event, []);
-        this._map.get(event).push(cb);
-        return () => this.off(event, cb);
+        const entry = { cb, priority, once, seq: this._nextSeq++ };
+        this._map.get(event).push(entry);
+        this._resolved.clear();
+        return () => this._removeEntry(entry);
+    }
+
+    /** Subscribe for a single call. */
+    once(event, cb, opts = {}) {
+        return this.on(event, cb, { ...opts, once: true });
     }
 
     off(event, cb) {
         const list = this._map.get(event);
         if (!list) return;
-        const i = list.indexOf(cb);
+        const i = list.findIndex(l => l.cb === cb);
         if (i > -1) list.splice(i, 1);
+        this._resolved.clear();
     }
 
     emit(event, payload = {}) {
-        const list = this._map.get(event);
-        if (list) for (const cb of list) cb(payload);
+        if (this._deferred.has(event)) {
+            this._enqueue(event, payload, this._deferred.get(event));
+            return;
+        }
+        this._dispatch(event, payload);
+    }
+
+    // ── Deferred dispatch ────────────────────────
+
+    /**
+     * Route emit(event) through the queue from now on.
+     * @param {boolean} [coalesce=true]  keep one pending entry per event
+     */
+    setDeferred(event, coalesce = true) {
+        this._deferred.set(event, coalesce);
+        return this;
+    }
+
+    /** Queue an event for the next flush(), whether or not it is marked deferred. */
+    defer(event, payload = {}, { coalesce = true } = {}) {
+        this._enqueue(event, payload, coalesce);
+    }
+
+    /** Dispatch everything queued, in queue order. Events queued meanwhile wait for the next flush. */
+    flush() {
+        if (!this._queue.length) return;
+        const queue = this._queue;
+        this._queue = [];
+        for (const { event, payload } of queue) this._dispatch(event, payload);
+    }
+
+    get pending() { return this._queue.length; }
+
+    /** Drop every listener, deferred mark and queued event. */
+    clear() {
+        this._map.clear();
+        this._resolved.clear();
+        this._deferred.clear();
+        this._queue.length = 0;
+    }
+
+    // ── Internals ────────────────────────────────
+
+    _enqueue(event, payload, coalesce) {
+        if (coalesce) {
+            const pending = this._queue.find(q => q.event === event);
+            if (pending) { pending.payload = payload; return; }
+        }
+        this._queue.push({ event, payload });
+    }
+
+    _dispatch(event, payload) {
+        for (const l of this._listeners(event)) {
+            if (l.once) this._removeEntry(l);
+            try {
+                l.cb(payload, event);
+            } catch (err) {
+                this.onError(err, event, payload);
+            }
+        }
+    }
+
+    /** Exact, namespace-wildcard and global listeners, merged and sorted. */
+    _listeners(event) {
+        let list = this._resolved.get(event);
+        if (list) return list;
+
+        const colon    = event.indexOf(':');
+        const patterns = [event, '*'];
+        if (colon > -1) patterns.push(event.slice(0, colon) + ':*');
+
+        list = [];
+        for (const p of patterns) if (this._map.has(p)) list.push(...this._map.get(p));
+        list.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+        this._resolved.set(event, list);
+        return list;
     }
 
-    clear() { this._map.clear(); }
+    _removeEntry(entry) {
+        for (const list of this._map.values()) {
+            const i = list.indexOf(entry);
+            if (i > -1) { list.splice(i, 1); break; }
+        }
+        this._resolved.clear();
+    }
 }
 
 // Named event constants — use these everywhere to avoid string typos.
@@ -31,18 +146,26 @@ export const Events = {
     // Entity lifecycle
     ENTITY_SPAWNED:    'entity:spawned',
     ENTITY_REMOVED:    'entity:removed',
+    ENTITY_DIED:       'entity:died',
     EGG_HATCHED:       'egg:hatched',
     SHRIMP_SPLASHED:   'shrimp:splashed',
     ELIXIR_OPENED:     'elixir:opened',
+    UFO_ARRIVED:       'ufo:arrived',
+    UFO_DEPARTED:      'ufo:departed',
 
     // Gameplay
     DUCK_EATEN:        'duck:eaten',
     FISH_EATEN:        'fish:eaten',
     FOOD_EATEN:        'food:eaten',
+    PREY_EATEN:        'prey:eaten',
 
     // Environment
     POLLUTION_CHANGED: 'env:pollutionChanged',
     DAY_NIGHT_FLIP:    'env:dayNightFlip',
+    WEATHER_CHANGED:   'env:weatherChanged',
+    NEST_DAMAGED:      'env:nestDamaged',
+    SEASON_CHANGED:    'env:seasonChanged',
+    BIRDS_MIGRATED:    'env:birdsMigrated',
 
     // UI signals
     LOG_EVENT:         'ui:log',
@@ -0,0 +1,144 @@
+// engine/EventJournal.js
+// Records every EventBus event with its simulation time into a ring buffer,
+// for export as NDJSON (one JSON object per line) to notebooks and tools.
+//
+// Payloads are reduced to plain data when recorded: entities become
+// { id, species, pool }, species definitions their id, DOM nodes and
+// functions are dropped, and nesting is cut off after a few levels. The
+// journal never holds a live object.
+
+const MAX_DEPTH = 4;
+
+export class EventJournal {
+    /**
+     * @param {EventBus} bus
+     * @param {object}   [opts]
+     * @param {Function} [opts.clock]          () => simulation seconds
+     * @param {number}   [opts.capacity=20000] entries kept; the oldest are overwritten
+     * @param {string[]} [opts.exclude]        event names never recorded
+     * @param {object}   [opts.throttle]       { event: seconds } — record at most one
+     *                                         per interval (for per-step events)
+     */
+    constructor(bus, { clock = () => 0, capacity = 20000, exclude = [], throttle = {} } = {}) {
+        this.clock     = clock;
+        this.capacity  = capacity;
+        this.exclude   = new Set(exclude);
+        this.throttle  = throttle;
+        this.recording = true;
+        this._buffer   = new Array(capacity);
+        this._count    = 0;          // entries ever recorded (next seq)
+        this._first    = 0;          // oldest seq not lost to a rewind (see restore)
+        this._lastAt   = new Map();  // event → time of last record, for throttling
+
+        // Lowest priority: record after every game listener has reacted
+        this._off = bus.on('*', (payload, event) => this.record(event, payload), { priority: -Infinity });
+    }
+
+    /** Stop listening. Recorded entries are kept. */
+    dispose() {
+        this._off();
+    }
+
+    record(event, payload) {
+        if (!this.recording || this.exclude.has(event)) return;
+
+        const t        = this.clock();
+        const interval = this.throttle[event];
+        if (interval) {
+            const last = this._lastAt.get(event);
+            if (last !== undefined && t - last < interval) return;
+            this._lastAt.set(event, t);
+        }
+
+        this._buffer[this._count % this.capacity] = {
+            seq:     this._count,
+            t:       +t.toFixed(3),
+            event,
+            payload: _serialize(payload, 0),
+        };
+        this._count++;
+    }
+
+    /** Entries still in the buffer. */
+    get size() { return this._count - this._start(); }
+
+    /** Entries recorded since creation, including overwritten ones. */
+    get total() { return this._count; }
+
+    /**
+     * Buffered entries, oldest first.
+     * @param {object}   [filter]
+     * @param {number}   [filter.since]   only entries with t >= since
+     * @param {string}   [filter.event]   exact name or 'namespace:*'
+     */
+    entries({ since = -Infinity, event = null } = {}) {
+        const out   = [];
+        const start = this._start();
+        const match = event?.endsWith(':*') ? event.slice(0, -1) : null;
+        for (let i = start; i < this._count; i++) {
+            const e = this._buffer[i % this.capacity];
+            if (e.t < since) continue;
+            if (event && (match ? !e.event.startsWith(match) : e.event !== event)) continue;
+            out.push(e);
+        }
+        return out;
+    }
+
+    /** The buffer as NDJSON, oldest first. Takes the same filter as entries(). */
+    toNDJSON(filter = {}) {
+        return this.entries(filter).map(e => JSON.stringify(e) + '\n').join('');
+    }
+
+    clear() {
+        this._buffer = new Array(this.capacity);
+        this._count  = 0;
+        this._first  = 0;
+        this._lastAt.clear();
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    snapshot() {
+        return { count: this._count, lastAt: new Map(this._lastAt) };
+    }
+
+    /** Forget everything recorded after the snapshot, so a rewound run doesn't log twice. */
+    restore(s) {
+        // Slots the discarded entries overwrote are gone for good
+        const lost   = Math.max(this._first, this._count - this.capacity);
+        this._first  = Math.min(lost, s.count);
+        this._count  = s.count;
+        this._lastAt = new Map(s.lastAt);
+    }
+
+    _start() {
+        return Math.max(this._first, this._count - this.capacity);
+    }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _serialize(v, depth) {
+    if (v === null || v === undefined) return v ?? null;
+    const type = typeof v;
+    if (type === 'number')  return Number.isFinite(v) ? v : null;
+    if (type === 'string' || type === 'boolean') return v;
+    if (type !== 'object')  return undefined;   // functions, symbols
+    if (typeof Element !== 'undefined' && v instanceof Element) return undefined;
+
+    // Entities: enough to join against other entries, nothing more
+    if ('id' in v && ('speciesDef' in v || 'poolKey' in v)) {
+        return { id: v.id, species: v.speciesDef?.id ?? null, pool: v.poolKey ?? null };
+    }
+    if (depth >= MAX_DEPTH) return undefined;
+
+    if (Array.isArray(v)) return v.map(x => _serialize(x, depth + 1) ?? null);
+    const out = {};
+    for (const [k, x] of Object.entries(v)) {
+        if (k === 'element') continue;
+        if (/speciesDef$/i.test(k) && x?.id) { out[k] = x.id; continue; }   // registry entry → its id
+        const s = _serialize(x, depth + 1);
+        if (s !== undefined) out[k] = s;
+    }
+    return out;
+}
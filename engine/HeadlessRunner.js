@@ -0,0 +1,55 @@
+// engine/HeadlessRunner.js
+// Drives an Engine without requestAnimationFrame — for Node, workers, tests.
+// Each tick reads the injected clock and hands the elapsed time to
+// Engine.advance(), exactly as the browser loop would.
+// No game dependencies — what gets recorded is up to the sample callback.
+
+/**
+ * Virtual clock: every read moves time forward by frameMs, so a run goes as
+ * fast as the CPU allows and always covers the same simulated time.
+ */
+export function createVirtualClock(frameMs) {
+    let t = 0;
+    return () => (t += frameMs);
+}
+
+export class HeadlessRunner {
+    /**
+     * @param {Engine}   engine
+     * @param {object}   [opts]
+     * @param {Function} [opts.clock]  () => milliseconds. Defaults to a virtual
+     *                                 clock ticking one engine step per read.
+     *                                 Pass () => performance.now() to run in real time.
+     */
+    constructor(engine, { clock = null } = {}) {
+        this.engine = engine;
+        this.clock  = clock ?? createVirtualClock(engine.stepDt * 1000);
+        this.ticks  = 0;
+        this._last  = this.clock();
+    }
+
+    /**
+     * Run `ticks` frames back to back.
+     * @param {number}   ticks
+     * @param {object}   [opts]
+     * @param {number}   [opts.sampleEvery=60]  ticks between samples
+     * @param {Function} [opts.sample]          (runner) => record, called every sampleEvery ticks
+     * @returns {Array} the collected records
+     */
+    run(ticks, { sampleEvery = 60, sample = null } = {}) {
+        const history = [];
+        for (let i = 0; i < ticks; i++) {
+            this.tick();
+            if (sample && this.ticks % sampleEvery === 0) history.push(sample(this));
+        }
+        return history;
+    }
+
+    /** Advance a single frame. */
+    tick() {
+        const now = this.clock();
+        this.engine.advance((now - this._last) / 1000, now);
+        this._last = now;
+        this.ticks++;
+    }
+}
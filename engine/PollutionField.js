@@ -0,0 +1,163 @@
+// engine/PollutionField.js
+// Water pollution as a field: a grid of cells over the ocean, each holding a
+// concentration from 0 (clean) to 100. Owned by World (world.pollution);
+// PollutionSystem puts pollution in and takes it out where it happens, and
+// steps the field so it spreads to neighbouring cells and drifts with the
+// currents. Anyone can read the water at a point with at(x, y).
+//
+// Unlike the currents, the field is state: World saves and restores it.
+
+export class PollutionField {
+    /**
+     * @param {World}  world
+     * @param {object} [opts]
+     * @param {number} [opts.cell=60]  cell size, px
+     */
+    constructor(world, { cell = 60 } = {}) {
+        this.world  = world;
+        this.cell   = cell;
+        this.top    = world.oceanTop;
+        this.cols   = Math.ceil(world.width / cell);
+        this.rows   = Math.ceil((world.height - this.top) / cell);
+        this.values = new Float64Array(this.cols * this.rows);
+        this._next  = new Float64Array(this.values.length);   // scratch for step()
+        this._spill = new Float64Array(this.values.length);   // scratch for spill()
+    }
+
+    /** Mean concentration over the whole ocean. */
+    get average() {
+        let sum = 0;
+        for (const v of this.values) sum += v;
+        return sum / this.values.length;
+    }
+
+    /** Concentration at (x, y); above the surface, the surface cell's. */
+    at(x, y) {
+        return this.values[this._index(x, y)];
+    }
+
+    /** Add `amount` (negative takes away) to the cell holding (x, y). */
+    add(x, y, amount) {
+        const i = this._index(x, y);
+        this.values[i] = _clamp(this.values[i] + amount);
+    }
+
+    /**
+     * Spread `amount` in total (negative takes away) over the cells within
+     * `radius` of (x, y), weighted to fade to nothing at the edge. Short of
+     * the 0–100 limits, the field's sum moves by `amount` whatever the radius.
+     */
+    spill(x, y, radius, amount) {
+        const { cols, rows, cell, top } = this;
+        const c0 = Math.max(0,        Math.floor((x - radius) / cell));
+        const c1 = Math.min(cols - 1, Math.floor((x + radius) / cell));
+        const r0 = Math.max(0,        Math.floor((y - top - radius) / cell));
+        const r1 = Math.min(rows - 1, Math.floor((y - top + radius) / cell));
+        const w = this._spill;
+        let total = 0, n = 0;
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                const d = Math.hypot((c + 0.5) * cell - x, top + (r + 0.5) * cell - y);
+                total += w[n++] = d < radius ? 1 - d / radius : 0;
+            }
+        }
+        if (!total) return this.add(x, y, amount);
+        n = 0;
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                const i = r * cols + c;
+                this.values[i] = _clamp(this.values[i] + amount * w[n++] / total);
+            }
+        }
+    }
+
+    /** Add `amount` to every cell — rain washing the whole sea, say. */
+    addAll(amount) {
+        for (let i = 0; i < this.values.length; i++) this.values[i] = _clamp(this.values[i] + amount);
+    }
+
+    /** Take up to `amount` away within `radius` of (x, y), fading to nothing at the edge. */
+    clean(x, y, radius, amount) {
+        const { cell, top } = this;
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const d = Math.hypot((c + 0.5) * cell - x, top + (r + 0.5) * cell - y);
+                if (d >= radius) continue;
+                const i = r * this.cols + c;
+                this.values[i] = _clamp(this.values[i] - amount * (1 - d / radius));
+            }
+        }
+    }
+
+    /**
+     * Advance the field by dt: every cell shares `diffusion` × dt of its
+     * difference with its four neighbours, then the lot is carried along
+     * `currents` (traced back from each cell centre).
+     */
+    step(dt, diffusion, currents = null) {
+        const { cols, rows, cell, top } = this;
+        const k = Math.min(0.25, diffusion * dt);   // beyond ¼ the scheme overshoots
+        let src = this.values, dst = this._next;
+
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const i = r * cols + c, v = src[i];
+                // Closed edges: a missing neighbour counts as the cell itself
+                const west  = c > 0        ? src[i - 1]    : v;
+                const east  = c < cols - 1 ? src[i + 1]    : v;
+                const north = r > 0        ? src[i - cols] : v;
+                const south = r < rows - 1 ? src[i + cols] : v;
+                dst[i] = v + k * (west + east + north + south - 4 * v);
+            }
+        }
+
+        if (currents?.strength) {
+            [src, dst] = [dst, src];
+            const flow = { x: 0, y: 0 };
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    const x = (c + 0.5) * cell, y = top + (r + 0.5) * cell;
+                    currents.at(x, y, flow);
+                    dst[r * cols + c] = this._sample(src, x - flow.x * dt, y - flow.y * dt);
+                }
+            }
+        }
+
+        if (dst !== this.values) this.values.set(dst);
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    snapshot() {
+        return Array.from(this.values);
+    }
+
+    restore(values) {
+        this.values.set(values);
+    }
+
+    // ── Internals ────────────────────────────────
+
+    _index(x, y) {
+        const c = Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cell)));
+        const r = Math.max(0, Math.min(this.rows - 1, Math.floor((y - this.top) / this.cell)));
+        return r * this.cols + c;
+    }
+
+    /** Bilinear read of `grid` at (x, y), clamped to the ocean. */
+    _sample(grid, x, y) {
+        const { cols, rows, cell, top } = this;
+        const fx = Math.max(0, Math.min(cols - 1, x / cell - 0.5));
+        const fy = Math.max(0, Math.min(rows - 1, (y - top) / cell - 0.5));
+        const c0 = Math.floor(fx), r0 = Math.floor(fy);
+        const c1 = Math.min(cols - 1, c0 + 1), r1 = Math.min(rows - 1, r0 + 1);
+        const tx = fx - c0, ty = fy - r0;
+        const a = grid[r0 * cols + c0], b = grid[r0 * cols + c1];
+        const c = grid[r1 * cols + c0], d = grid[r1 * cols + c1];
+        return (a + (b - a) * tx) * (1 - ty) + (c + (d - c) * tx) * ty;
+    }
+}
+
+function _clamp(v) {
+    return v < 0 ? 0 : v > 100 ? 100 : v;
+}
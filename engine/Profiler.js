@@ -0,0 +1,153 @@
+// engine/Profiler.js
+// Per-frame timing of named sections — systems, entity classes, hot functions.
+// Engine owns one instance (engine.profiler) and times every system update
+// through it; anything else reports with add() or wrap().
+//
+// Samples are summed over a displayed frame, so a step-phase system that ran
+// four times in one frame reports the cost of all four. Timings are inclusive:
+// canSpawn called from inside ReproductionSystem counts towards both.
+// Off by default; while disabled the only cost is one boolean check.
+
+// Keys are 'group:name', e.g. 'system:render', 'entity:BirdEntity',
+// 'fn:EntityManager.canSpawn'.
+class Track {
+    constructor(key, size) {
+        const i = key.indexOf(':');
+        this.key     = key;
+        this.group   = i > -1 ? key.slice(0, i) : '';
+        this.name    = i > -1 ? key.slice(i + 1) : key;
+        this.samples = new Float64Array(size);  // ring buffer, ms per frame
+        this.calls   = new Uint32Array(size);
+        this.count   = 0;                        // samples written so far
+        this.pending = 0;                        // ms accumulated this frame
+        this.pendingCalls = 0;
+    }
+
+    push(size) {
+        const slot = this.count % size;
+        this.samples[slot] = this.pending;
+        this.calls[slot]   = this.pendingCalls;
+        this.count++;
+        this.pending      = 0;
+        this.pendingCalls = 0;
+    }
+
+    stats(size) {
+        const n = Math.min(this.count, size);
+        if (n === 0) return null;
+        const sorted = Array.from(this.samples.subarray(0, n)).sort((a, b) => a - b);
+        let sum = 0, calls = 0;
+        for (let i = 0; i < n; i++) { sum += sorted[i]; calls += this.calls[i]; }
+        return {
+            key:   this.key,
+            group: this.group,
+            name:  this.name,
+            avg:   sum / n,
+            p50:   _percentile(sorted, 0.50),
+            p95:   _percentile(sorted, 0.95),
+            max:   sorted[n - 1],
+            last:  this.samples[(this.count - 1) % size],
+            calls: calls / n,   // average calls per frame
+        };
+    }
+}
+
+export class Profiler {
+    /**
+     * @param {object}   [opts]
+     * @param {number}   [opts.window=240]  frames kept for averages and percentiles
+     * @param {Function} [opts.now]         () => milliseconds
+     */
+    constructor({ window = 240, now = null } = {}) {
+        this.window  = window;
+        this.now     = now ?? _defaultNow;
+        this.enabled = false;
+        this.frames  = 0;
+        this._tracks = new Map();
+        this._frame  = new Track('frame:total', window);
+    }
+
+    /** Turn timing on or off. Turning it on starts from a clean slate. */
+    setEnabled(enabled) {
+        if (enabled && !this.enabled) this.reset();
+        this.enabled = !!enabled;
+        return this;
+    }
+
+    reset() {
+        this._tracks.clear();
+        this._frame  = new Track('frame:total', this.window);
+        this.frames  = 0;
+    }
+
+    /** Add ms to key for the current frame. */
+    add(key, ms, calls = 1) {
+        let track = this._tracks.get(key);
+        if (!track) this._tracks.set(key, track = new Track(key, this.window));
+        track.pending      += ms;
+        track.pendingCalls += calls;
+    }
+
+    /**
+     * Time every call to obj[method] under key (default 'fn:Class.method').
+     * Returns a function that restores the original method.
+     */
+    wrap(obj, method, key = null) {
+        const original = obj[method];
+        const owner    = Object.getPrototypeOf(obj)?.constructor?.name ?? 'Object';
+        const label    = key ?? `fn:${owner}.${method}`;
+        const profiler = this;
+        obj[method] = function (...args) {
+            if (!profiler.enabled) return original.apply(this, args);
+            const t0 = profiler.now();
+            try {
+                return original.apply(this, args);
+            } finally {
+                profiler.add(label, profiler.now() - t0);
+            }
+        };
+        return () => { obj[method] = original; };
+    }
+
+    /**
+     * Close the current frame: every known key gets a sample (0 if it didn't
+     * run), so averages are per displayed frame. Engine calls this.
+     */
+    endFrame(totalMs) {
+        for (const track of this._tracks.values()) track.push(this.window);
+        this._frame.pending      = totalMs;
+        this._frame.pendingCalls = 1;
+        this._frame.push(this.window);
+        this.frames++;
+    }
+
+    /** Stats for the whole frame (everything the engine ran). */
+    frameStats() {
+        return this._frame.stats(this.window);
+    }
+
+    /**
+     * Stats per key, slowest average first.
+     * @param {string} [group]  only keys in this group ('system', 'entity', 'fn')
+     * @returns {Array<{ key, group, name, avg, p50, p95, max, last, calls }>}
+     */
+    report(group = null) {
+        const out = [];
+        for (const track of this._tracks.values()) {
+            if (group && track.group !== group) continue;
+            const s = track.stats(this.window);
+            if (s) out.push(s);
+        }
+        return out.sort((a, b) => b.avg - a.avg);
+    }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function _defaultNow() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
@@ -0,0 +1,48 @@
+// engine/Random.js
+// Seedable PRNG (mulberry32). World owns one instance; every simulation
+// decision — entity stats, wandering, spawn positions, pairing rolls — draws
+// from it, so the same seed plus the same user actions replays the same
+// ecosystem history.
+// Purely cosmetic randomness (particle scatter, star field, grass tufts) stays
+// on Math.random: rendering runs per displayed frame, and letting it consume
+// numbers would make the simulation depend on frame rate.
+
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.seed   = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    /** A fresh 32-bit seed for sessions that weren't given one. */
+    static randomSeed() {
+        return (Math.random() * 0x100000000) >>> 0;
+    }
+
+    /** Uniform float in [0, 1) — drop-in for Math.random(). */
+    next() {
+        let t = (this._state = (this._state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Uniform float in [min, max). */
+    range(min, max) { return min + this.next() * (max - min); }
+
+    /** Uniform integer in [0, n). */
+    int(n) { return Math.floor(this.next() * n); }
+
+    /** True with probability p. */
+    chance(p) { return this.next() < p; }
+
+    /** Uniform float in [-width/2, width/2) — the (Math.random() - 0.5) * w idiom. */
+    spread(width) { return (this.next() - 0.5) * width; }
+
+    /** Random element of a non-empty array. */
+    pick(arr) { return arr[this.int(arr.length)]; }
+
+    // ── State (for save/replay) ──────────────────
+
+    get state()  { return this._state; }
+    set state(s) { this._state = s >>> 0; }
+}
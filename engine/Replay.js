@@ -0,0 +1,206 @@
+// engine/Replay.js
+// Deterministic record / replay with keyframes, for reviewing a session.
+// No game dependencies — the game hands in its actions and stateful parts.
+//
+// With a fixed timestep a run is fully determined by its seed and the user
+// actions that changed it, each pinned to the step it happened after.
+// Replay logs those actions (everything that changes the simulation goes
+// through dispatch()), takes a keyframe — a snapshot() of every part — at a
+// fixed interval, and seeks by restoring the nearest keyframe at or before
+// the target and fast-forwarding from there, re-applying the log.
+//
+// Modes:
+//   'live'      the user is in control; dispatched actions are logged
+//   'playback'  behind the end of the log; logged actions are re-applied as
+//               the run reaches them. Dispatching an action here branches:
+//               everything after the current step is dropped and the run is
+//               live again from there.
+//
+// Registered as the last step-phase system, so an action logged at step n is
+// applied between steps n and n+1 — exactly where the user's click landed.
+
+export class Replay {
+    /**
+     * @param {Engine} engine                    must use a fixed timestep
+     * @param {object} parts                     name → object with snapshot()/restore(),
+     *                                           e.g. { world, entities }. The engine is
+     *                                           always included.
+     * @param {object}   [opts]
+     * @param {object}   [opts.actions]          name → fn(...args), the replayable
+     *                                           actions. Arguments must be plain JSON.
+     * @param {number}   [opts.keyframeEvery=10] simulation seconds between keyframes
+     * @param {number}   [opts.maxKeyframes=240] when full, every other keyframe is
+     *                                           dropped and the interval doubles
+     * @param {Function} [opts.canKeyframe]      () => boolean — veto a keyframe at an
+     *                                           awkward moment; the next step retries
+     * @param {object}   [opts.meta]             extra header fields for toJSON()
+     */
+    constructor(engine, parts, {
+        actions       = {},
+        keyframeEvery = 10,
+        maxKeyframes  = 240,
+        canKeyframe   = () => true,
+        meta          = {},
+    } = {}) {
+        if (!engine.fixedTimestep)
+            throw new Error('Replay: needs an engine with a fixed timestep — variable steps cannot be reproduced');
+
+        this.engine         = engine;
+        this.parts          = { engine, ...parts };
+        this.actions        = { ...actions };
+        this.maxKeyframes   = maxKeyframes;
+        this.canKeyframe    = canKeyframe;
+        this.meta           = meta;
+        this.priority       = 1000;     // after every other step-phase system
+        this.mode           = 'live';
+        this.log            = [];       // [{ step, name, args }], in step order
+        this.keyframes      = [];       // [{ step, simTime, state }], in step order
+        this._keyframeSteps = Math.max(1, Math.round(keyframeEvery / engine.stepDt));
+        this._cursor        = 0;        // next log entry to re-apply in playback
+        this._endStep       = 0;        // last recorded step, while in playback
+        this._missing       = new Set();
+    }
+
+    /** Take the first keyframe. Call once the starting scene is in place. */
+    start() {
+        if (this.keyframes.length) throw new Error('Replay.start: already started');
+        this._keyframe(this.engine.stepCount);
+        return this;
+    }
+
+    // ── Recording ────────────────────────────────
+
+    /** Log and run a replayable action. In playback this branches first. */
+    dispatch(name, ...args) {
+        const fn = this.actions[name];
+        if (!fn) throw new Error(`Replay.dispatch: unknown action "${name}"`);
+        if (this.mode === 'playback') this.branch();
+        this.log.push({ step: this.engine.stepCount, name, args });
+        return fn(...args);
+    }
+
+    /** { name: (...args) => dispatch(name, ...args) } for every action — for UI wiring. */
+    bindActions() {
+        return Object.fromEntries(Object.keys(this.actions)
+            .map(name => [name, (...args) => this.dispatch(name, ...args)]));
+    }
+
+    /** Drop everything after the current step and go live from here. */
+    branch() {
+        const step = this.engine.stepCount;
+        this.log.length = this._cursor;
+        this.keyframes  = this.keyframes.filter(k => k.step <= step);
+        this.mode       = 'live';
+    }
+
+    // ── Seeking ──────────────────────────────────
+
+    /** Last step of the recorded timeline. */
+    get endStep() {
+        return this.mode === 'live' ? this.engine.stepCount : this._endStep;
+    }
+
+    /**
+     * Jump to `step`, clamped to the recorded range. Behind the end the run
+     * continues in playback; at the end it is live again.
+     */
+    seek(step) {
+        if (!this.keyframes.length) throw new Error('Replay.seek: call start() first');
+        const end    = this.endStep;
+        const target = Math.max(this.keyframes[0].step, Math.min(Math.round(step), end));
+        const now    = this.engine.stepCount;
+        const kf     = this.keyframes.findLast(k => k.step <= target);
+
+        this._endStep = end;
+        this.mode     = 'playback';
+
+        // Forward within reach of the current state: no need to restore
+        if (target >= now && kf.step <= now) {
+            this.engine.stepN(target - now);
+        } else {
+            this._restore(kf.state);
+            this._cursor = this.log.findIndex(a => a.step >= kf.step);
+            if (this._cursor === -1) this._cursor = this.log.length;
+            this._applyLogged(kf.step);
+            this.engine.stepN(target - kf.step);
+        }
+        if (this.engine.stepCount >= end) this.mode = 'live';
+    }
+
+    // ── Export / import ──────────────────────────
+
+    /** The log as plain JSON: meta, step length, end and every action. */
+    toJSON() {
+        return {
+            version: 1,
+            ...this.meta,
+            stepDt:  this.engine.stepDt,
+            endStep: this.endStep,
+            log:     this.log,
+        };
+    }
+
+    /**
+     * Play back an exported log from the beginning. The run must have been
+     * built the same way (seed, world size — whatever meta records) and just
+     * start()ed.
+     */
+    load(data) {
+        if (this.engine.stepCount !== this.keyframes[0]?.step || this.log.length)
+            throw new Error('Replay.load: load into a fresh, just-started run');
+        if (Math.abs(data.stepDt - this.engine.stepDt) > 1e-12)
+            throw new Error(`Replay.load: recorded with stepDt ${data.stepDt}, this engine uses ${this.engine.stepDt}`);
+
+        this.log      = data.log.map(a => ({ ...a }));
+        this._endStep = data.endStep;
+        this._cursor  = 0;
+        this.mode     = 'playback';
+        this._applyLogged(this.engine.stepCount);
+        return this;
+    }
+
+    // ── System update (called by Engine, last in the step phase) ──
+
+    update() {
+        const step = this.engine.stepCount;
+        this._maybeKeyframe(step);
+        if (this.mode !== 'playback') return;
+        this._applyLogged(step);
+        if (step >= this._endStep) this.mode = 'live';
+    }
+
+    // ── Internals ────────────────────────────────
+
+    _applyLogged(step) {
+        while (this._cursor < this.log.length && this.log[this._cursor].step <= step) {
+            const { name, args } = this.log[this._cursor++];
+            const fn = this.actions[name];
+            if (fn) fn(...args);
+            else if (!this._missing.has(name)) {
+                this._missing.add(name);
+                console.warn(`Replay: no action "${name}" here — skipped`);
+            }
+        }
+    }
+
+    _maybeKeyframe(step) {
+        const last = this.keyframes.at(-1);
+        if (last && step < last.step + this._keyframeSteps) return;
+        if (this.canKeyframe()) this._keyframe(step);
+    }
+
+    _keyframe(step) {
+        const state = {};
+        for (const [name, part] of Object.entries(this.parts)) state[name] = part.snapshot();
+        this.keyframes.push({ step, simTime: this.engine.simTime, state });
+
+        if (this.keyframes.length > this.maxKeyframes) {
+            this.keyframes = this.keyframes.filter((_, i) => i % 2 === 0);
+            this._keyframeSteps *= 2;
+        }
+    }
+
+    _restore(state) {
+        for (const [name, part] of Object.entries(this.parts)) part.restore(state[name]);
+    }
+}
@@ -0,0 +1,121 @@
+// engine/Scheduler.js
+// Timers that run on simulation time instead of wall-clock time.
+// World owns one instance (world.scheduler); Engine advances it once per
+// simulation step, before any system runs. Pausing, time scaling, manual
+// stepping and headless runs therefore apply to delayed effects too.
+//
+// Wall-clock setTimeout is still right for purely cosmetic DOM work that is
+// paired with a CSS animation (splash particles, fade-outs): the animation
+// itself plays in real time, so its cleanup must as well.
+
+class ScheduledTask {
+    constructor(scheduler, id, due, interval, fn) {
+        this._scheduler = scheduler;
+        this.id         = id;
+        this.due        = due;        // simulation time (s) of the next firing
+        this.interval   = interval;   // seconds between firings, 0 = one-shot
+        this.fn         = fn;
+        this.active     = true;
+    }
+
+    /** Stop the task. Safe to call more than once, or from inside fn. */
+    cancel() {
+        if (!this.active) return;
+        this.active = false;
+        this._scheduler._remove(this);
+    }
+}
+
+export class Scheduler {
+    constructor() {
+        this.time    = 0;   // seconds of simulation time seen so far
+        this._tasks  = [];  // sorted by (due, id) so firing order is deterministic
+        this._nextId = 1;
+    }
+
+    /** Run fn once, `seconds` of simulation time from now. Returns a cancellable handle. */
+    after(seconds, fn) {
+        return this._add(Math.max(0, seconds), 0, fn);
+    }
+
+    /**
+     * Run fn every `seconds` of simulation time, first firing one interval
+     * from now. fn receives the handle, so it can cancel itself.
+     */
+    every(seconds, fn) {
+        if (!(seconds > 0)) throw new Error(`Scheduler.every: interval must be > 0 (got ${seconds})`);
+        return this._add(seconds, seconds, fn);
+    }
+
+    cancel(task) {
+        task?.cancel();
+    }
+
+    /** Drop every pending task without running it. */
+    clear() {
+        for (const t of this._tasks) t.active = false;
+        this._tasks.length = 0;
+    }
+
+    get pending() { return this._tasks.length; }
+
+    /** Advance simulation time by dt and fire everything that has come due. */
+    update(dt) {
+        this.time += dt;
+        while (this._tasks.length && this._tasks[0].due <= this.time) {
+            const task = this._tasks.shift();
+            if (task.interval > 0) {
+                task.due += task.interval;
+                this._insert(task);
+            } else {
+                task.active = false;
+            }
+            task.fn(task);
+        }
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    /**
+     * Clock and pending tasks. Tasks are kept by reference — their fns are
+     * closures over live objects and can't be copied — so restore() puts the
+     * same tasks back with the due times they had.
+     */
+    snapshot() {
+        return { time: this.time, nextId: this._nextId, tasks: this._tasks.map(t => [t, t.due]) };
+    }
+
+    restore(s) {
+        for (const t of this._tasks) t.active = false;
+        this.time    = s.time;
+        this._nextId = s.nextId;
+        this._tasks  = s.tasks.map(([task, due]) => {
+            task.due    = due;
+            task.active = true;
+            return task;
+        });
+    }
+
+    // ── Internals ────────────────────────────────
+
+    _add(delay, interval, fn) {
+        const task = new ScheduledTask(this, this._nextId++, this.time + delay, interval, fn);
+        this._insert(task);
+        return task;
+    }
+
+    _insert(task) {
+        let i = this._tasks.length;
+        while (i > 0) {
+            const prev = this._tasks[i - 1];
+            if (prev.due < task.due || (prev.due === task.due && prev.id < task.id)) break;
+            i--;
+        }
+        this._tasks.splice(i, 0, task);
+    }
+
+    _remove(task) {
+        const i = this._tasks.indexOf(task);
+        if (i > -1) this._tasks.splice(i, 1);
+    }
+}
@@ -1,49 +1,243 @@
 // engine/SpatialGrid.js
 // Fast proximity queries via uniform spatial hashing.
 // No game dependencies — safe to use in any project.
+//
+// Cells are keyed by a single number packed from the cell coordinates, and
+// every object remembers the cell it was filed under, so remove() and
+// refresh() work however far it has moved since. Objects need x and y.
+
+// Cell coordinates are offset into [0, 2^21) and packed as cx * 2^21 + cy,
+// which stays an exact integer for any world within ±2^20 cells.
+const CELL_OFFSET = 1 << 20;
+const CELL_STRIDE = 1 << 21;
 
 export class SpatialGrid {
     constructor(cellSize) {
         this.cellSize = cellSize;
-        this.grid = new Map();
+        this.grid = new Map();      // key → objects in that cell
+        this._cellOf = new Map();   // obj → key of the cell it is filed under
+    }
+
+    _cell(v) {
+        return Math.floor(v / this.cellSize);
+    }
+
+    _cellKey(cx, cy) {
+        return (cx + CELL_OFFSET) * CELL_STRIDE + (cy + CELL_OFFSET);
     }
 
     _key(x, y) {
-        return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+        return this._cellKey(this._cell(x), this._cell(y));
     }
 
+    get size() { return this._cellOf.size; }
+
+    has(obj) { return this._cellOf.has(obj); }
+
     add(obj) {
+        if (this._cellOf.has(obj)) { this.refresh(obj); return; }
         const key = this._key(obj.x, obj.y);
         if (!this.grid.has(key)) this.grid.set(key, []);
         this.grid.get(key).push(obj);
+        this._cellOf.set(obj, key);
     }
 
+    /** Removes obj from the cell it was filed under, wherever it is now. */
     remove(obj) {
-        const cell = this.grid.get(this._key(obj.x, obj.y));
-        if (cell) { const i = cell.indexOf(obj); if (i > -1) cell.splice(i, 1); }
+        const key = this._cellOf.get(obj);
+        if (key === undefined) return;
+        this._unfile(obj, key);
+        this._cellOf.delete(obj);
+    }
+
+    /** Call after moving obj so the grid stays current. oldX/oldY are no longer needed. */
+    update(obj, _oldX, _oldY) {
+        this.refresh(obj);
     }
 
-    /** Call after moving obj so the grid stays current. */
-    update(obj, oldX, oldY) {
-        const oldKey = this._key(oldX, oldY);
+    /** Re-file obj if it has moved into another cell. */
+    refresh(obj) {
+        const oldKey = this._cellOf.get(obj);
+        if (oldKey === undefined) return;
         const newKey = this._key(obj.x, obj.y);
         if (oldKey === newKey) return;
-        const old = this.grid.get(oldKey);
-        if (old) { const i = old.indexOf(obj); if (i > -1) old.splice(i, 1); }
+        this._unfile(obj, oldKey);
         if (!this.grid.has(newKey)) this.grid.set(newKey, []);
         this.grid.get(newKey).push(obj);
+        this._cellOf.set(obj, newKey);
+    }
+
+    /** Re-file everything that moved since the last call. */
+    refreshAll() {
+        for (const obj of this._cellOf.keys()) this.refresh(obj);
     }
 
+    clear() {
+        this.grid.clear();
+        this._cellOf.clear();
+    }
+
+    // ── Queries ──────────────────────────────────
+
+    /** Everything in the cells the circle touches — a superset, not distance-filtered. */
     getNearby(x, y, radius) {
         const results = [];
         const cr = Math.ceil(radius / this.cellSize);
-        const cx = Math.floor(x / this.cellSize);
-        const cy = Math.floor(y / this.cellSize);
+        const cx = this._cell(x);
+        const cy = this._cell(y);
         for (let dx = -cr; dx <= cr; dx++)
             for (let dy = -cr; dy <= cr; dy++) {
-                const cell = this.grid.get(`${cx + dx},${cy + dy}`);
+                const cell = this.grid.get(this._cellKey(cx + dx, cy + dy));
                 if (cell) results.push(...cell);
             }
         return results;
     }
+
+    /** Objects within radius of (x, y), optionally passing filter(obj). */
+    queryRadius(x, y, radius, filter = null) {
+        const r2 = radius * radius;
+        return this.getNearby(x, y, radius).filter(o => {
+            const dx = o.x - x, dy = o.y - y;
+            return dx * dx + dy * dy <= r2 && (!filter || filter(o));
+        });
+    }
+
+    /** Objects with x in [x, x + width] and y in [y, y + height]. */
+    queryRect(x, y, width, height, filter = null) {
+        const results = [];
+        const x2 = x + width, y2 = y + height;
+        for (let cx = this._cell(x); cx <= this._cell(x2); cx++)
+            for (let cy = this._cell(y); cy <= this._cell(y2); cy++) {
+                const cell = this.grid.get(this._cellKey(cx, cy));
+                if (!cell) continue;
+                for (const o of cell)
+                    if (o.x >= x && o.x <= x2 && o.y >= y && o.y <= y2 && (!filter || filter(o)))
+                        results.push(o);
+            }
+        return results;
+    }
+
+    /**
+     * The k objects nearest (x, y), closest first. Searches outward ring by
+     * ring and stops once no unsearched cell can hold anything closer.
+     * @param {object}   [opts]
+     * @param {number}   [opts.maxDist=Infinity]
+     * @param {Function} [opts.filter]   (obj) => boolean
+     */
+    kNearest(x, y, k, { maxDist = Infinity, filter = null } = {}) {
+        if (k <= 0 || this._cellOf.size === 0) return [];
+        const cx = this._cell(x), cy = this._cell(y);
+        const maxRing = Math.min(
+            Number.isFinite(maxDist) ? Math.ceil(maxDist / this.cellSize) : Infinity,
+            this._maxRing(cx, cy),
+        );
+        const max2  = maxDist * maxDist;
+        const found = [];   // [d2, obj], kept sorted
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            this._forRing(cx, cy, ring, cell => {
+                for (const o of cell) {
+                    const dx = o.x - x, dy = o.y - y;
+                    const d2 = dx * dx + dy * dy;
+                    if (d2 > max2 || (filter && !filter(o))) continue;
+                    _insertSorted(found, d2, o, k);
+                }
+            });
+            // Every unsearched cell is at least `ring` whole cells away
+            const reach = ring * this.cellSize;
+            if (found.length === k && found[k - 1][0] <= reach * reach) break;
+        }
+        return found.map(([, o]) => o);
+    }
+
+    /**
+     * Objects within `radius` of the segment (x1, y1) → (x2, y2), ordered by
+     * how far along the segment they sit. radius 0 is a thin ray; pass the
+     * target's size for a swept circle.
+     */
+    raycast(x1, y1, x2, y2, { radius = 0, filter = null } = {}) {
+        const sx = x2 - x1, sy = y2 - y1;
+        const len2 = sx * sx + sy * sy;
+        const r2   = radius * radius;
+        const hits = [];
+
+        // Cells of the segment's bounding box, padded by radius
+        const minX = Math.min(x1, x2) - radius, maxX = Math.max(x1, x2) + radius;
+        const minY = Math.min(y1, y2) - radius, maxY = Math.max(y1, y2) + radius;
+        for (let cx = this._cell(minX); cx <= this._cell(maxX); cx++)
+            for (let cy = this._cell(minY); cy <= this._cell(maxY); cy++) {
+                const cell = this.grid.get(this._cellKey(cx, cy));
+                if (!cell) continue;
+                for (const o of cell) {
+                    const t  = len2 > 0 ? Math.max(0, Math.min(1, ((o.x - x1) * sx + (o.y - y1) * sy) / len2)) : 0;
+                    const dx = x1 + sx * t - o.x, dy = y1 + sy * t - o.y;
+                    if (dx * dx + dy * dy <= r2 && (!filter || filter(o))) hits.push([t, o]);
+                }
+            }
+        return hits.sort((a, b) => a[0] - b[0]).map(([, o]) => o);
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    /** Cell contents in their current order — query results depend on it. */
+    snapshot() {
+        return [...this.grid].map(([key, cell]) => [key, cell.slice()]);
+    }
+
+    restore(cells) {
+        this.clear();
+        for (const [key, cell] of cells) {
+            this.grid.set(key, cell.slice());
+            for (const obj of cell) this._cellOf.set(obj, key);
+        }
+    }
+
+    // ── Internals ────────────────────────────────
+
+    _unfile(obj, key) {
+        const cell = this.grid.get(key);
+        if (!cell) return;
+        const i = cell.indexOf(obj);
+        if (i > -1) cell.splice(i, 1);
+        if (cell.length === 0) this.grid.delete(key);
+    }
+
+    /** Calls fn(cell) for each occupied cell on the square ring `ring` cells out. */
+    _forRing(cx, cy, ring, fn) {
+        const visit = (x, y) => {
+            const cell = this.grid.get(this._cellKey(x, y));
+            if (cell) fn(cell);
+        };
+        if (ring === 0) { visit(cx, cy); return; }
+        for (let d = -ring; d <= ring; d++) {
+            visit(cx + d, cy - ring);
+            visit(cx + d, cy + ring);
+        }
+        for (let d = -ring + 1; d <= ring - 1; d++) {
+            visit(cx - ring, cy + d);
+            visit(cx + ring, cy + d);
+        }
+    }
+
+    /** Rings needed from (cx, cy) to cover every occupied cell. */
+    _maxRing(cx, cy) {
+        let ring = 0;
+        for (const key of this.grid.keys()) {
+            const kx = Math.floor(key / CELL_STRIDE) - CELL_OFFSET;
+            const ky = (key % CELL_STRIDE) - CELL_OFFSET;
+            ring = Math.max(ring, Math.abs(kx - cx), Math.abs(ky - cy));
+        }
+        return ring;
+    }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Insert [d2, obj] into a list sorted by d2, keeping at most k entries. */
+function _insertSorted(list, d2, obj, k) {
+    if (list.length === k && d2 >= list[k - 1][0]) return;
+    let i = list.length;
+    while (i > 0 && list[i - 1][0] > d2) i--;
+    list.splice(i, 0, [d2, obj]);
+    if (list.length > k) list.pop();
 }
@@ -0,0 +1,204 @@
+// engine/Steering.js
+// Steering behaviours, after Reynolds. Each one turns something an entity
+// wants into a steering force — desired velocity minus current velocity,
+// px/s — written into `out`. MovementSystem weighs them by species and
+// integrates the sum; nothing else moves a steered entity.
+//
+// Entities say what they want through the intent helpers below.
+// Those only replace plain fields, so steering is saved and replayed with
+// the rest of an entity's state (see EntityManager.snapshot):
+//
+//   vx, vy       velocity, px/s                          — MovementSystem
+//   wanderAngle  where on the wander circle it is heading — MovementSystem
+//   goal         { mode: 'seek' | 'arrive' | 'pursue' | 'halt', target, speed } or null (wander)
+//   threat       { mode: 'flee' | 'evade', from } or null
+//   alarm        seconds a schooling entity stays scattered  — MovementSystem
+
+const SLOW_RADIUS   = 60;    // px from the target at which arrive starts braking
+const WANDER_RADIUS = 0.5;   // wander circle, in units of the distance ahead
+const WANDER_JITTER = 0.3;   // rad the wander point may slip per call
+const MAX_LEAD      = 2;     // s — the furthest ahead pursue/evade predict
+const LOOK_AHEAD    = 1;     // s of travel obstacle avoidance looks ahead, plus the radius below
+const LOOK_MIN      = 20;    // px
+
+// ── Behaviours ────────────────────────────────────────────────────────────────
+
+/** Full speed towards (tx, ty). */
+export function seek(e, tx, ty, maxSpeed, out) {
+    return _toward(e, tx - e.x, ty - e.y, maxSpeed, out);
+}
+
+/** Full speed away from (tx, ty). */
+export function flee(e, tx, ty, maxSpeed, out) {
+    return _toward(e, e.x - tx, e.y - ty, maxSpeed, out);
+}
+
+/** Towards (tx, ty), slowing to a stop on it. */
+export function arrive(e, tx, ty, maxSpeed, out, slowRadius = SLOW_RADIUS) {
+    const dist = Math.hypot(tx - e.x, ty - e.y);
+    return _toward(e, tx - e.x, ty - e.y, maxSpeed * Math.min(1, dist / slowRadius), out);
+}
+
+/** Towards where a moving target will be. */
+export function pursue(e, target, maxSpeed, out) {
+    const t = _lead(e, target, maxSpeed);
+    return seek(e, target.x + (target.vx ?? 0) * t, target.y + (target.vy ?? 0) * t, maxSpeed, out);
+}
+
+/** Away from where a moving threat will be. */
+export function evade(e, threat, maxSpeed, out) {
+    const t = _lead(e, threat, maxSpeed);
+    return flee(e, threat.x + (threat.vx ?? 0) * t, threat.y + (threat.vy ?? 0) * t, maxSpeed, out);
+}
+
+/** Meander: head for a point that slips around a circle just ahead. */
+export function wander(e, rng, maxSpeed, out) {
+    e.wanderAngle = (e.wanderAngle ?? 0) + rng.spread(WANDER_JITTER);
+    const heading = e.direction ?? 0;
+    const dx = Math.cos(heading) + WANDER_RADIUS * Math.cos(heading + e.wanderAngle);
+    const dy = Math.sin(heading) + WANDER_RADIUS * Math.sin(heading + e.wanderAngle);
+    return _toward(e, dx, dy, maxSpeed, out);
+}
+
+/**
+ * Sidestep the first circle ({ x, y, r }) the path ahead runs into.
+ * Zero when the way is clear.
+ */
+export function avoidObstacles(e, obstacles, maxSpeed, out) {
+    out.x = out.y = 0;
+    const speed = Math.hypot(e.vx, e.vy);
+    if (!obstacles.length || speed < 1) return out;
+
+    const reach = speed * LOOK_AHEAD + LOOK_MIN;
+    const ux = e.vx / speed, uy = e.vy / speed;
+    let nearest = null, best = Infinity;
+    for (const o of obstacles) {
+        const along = (o.x - e.x) * ux + (o.y - e.y) * uy;   // how far ahead the centre is
+        if (along < 0 || along > reach + o.r) continue;
+        const side = Math.abs((o.x - e.x) * uy - (o.y - e.y) * ux);
+        if (side < o.r && along < best) { best = along; nearest = o; }
+    }
+    if (!nearest) return out;
+
+    // Keep going, but veer 45° away from the side the centre is on
+    const sign = (nearest.x - e.x) * uy - (nearest.y - e.y) * ux >= 0 ? 1 : -1;
+    return _toward(e, ux - sign * uy, uy + sign * ux, maxSpeed, out);
+}
+
+/**
+ * Back inside bounds ({ left, right, top, bottom }): full speed inwards from
+ * outside, turning in within `margin` of an edge. Zero well inside.
+ */
+export function contain(e, bounds, maxSpeed, out, margin = 0) {
+    const m  = Math.min(margin, (bounds.bottom - bounds.top) / 4, (bounds.right - bounds.left) / 4);
+    const dx = e.x < bounds.left + m ? 1 : e.x > bounds.right  - m ? -1 : 0;
+    const dy = e.y < bounds.top  + m ? 1 : e.y > bounds.bottom - m ? -1 : 0;
+    if (!dx && !dy) {
+        out.x = out.y = 0;
+        return out;
+    }
+    // Only the offending axes: inside, an edge shouldn't slow travel along it
+    out.x = dx ? dx * maxSpeed - e.vx : 0;
+    out.y = dy ? dy * maxSpeed - e.vy : 0;
+    return out;
+}
+
+/** Slow to a stop. */
+export function brake(e, out) {
+    out.x = -e.vx;
+    out.y = -e.vy;
+    return out;
+}
+
+// ── Flocking (boids) — `mates` are the neighbours in the flock ────────────────
+
+/** Away from mates closer than `radius`, harder the closer they are. */
+export function separate(e, mates, radius, maxSpeed, out) {
+    let dx = 0, dy = 0;
+    for (const m of mates) {
+        const ox = e.x - m.x, oy = e.y - m.y;
+        const d  = Math.hypot(ox, oy);
+        if (d >= radius) continue;
+        if (d === 0) { dx += 1; continue; }   // stacked: push any way
+        dx += ox / d * (1 - d / radius);
+        dy += oy / d * (1 - d / radius);
+    }
+    if (!dx && !dy) {
+        out.x = out.y = 0;
+        return out;
+    }
+    return _toward(e, dx, dy, maxSpeed, out);
+}
+
+/** Match the mates' average velocity. */
+export function align(e, mates, out) {
+    let vx = 0, vy = 0;
+    for (const m of mates) { vx += m.vx ?? 0; vy += m.vy ?? 0; }
+    out.x = vx / mates.length - e.vx;
+    out.y = vy / mates.length - e.vy;
+    return out;
+}
+
+/** Towards the mates' centre, settling on it. */
+export function cohere(e, mates, maxSpeed, out, slowRadius = SLOW_RADIUS) {
+    const [cx, cy] = _centre(mates);
+    return arrive(e, cx, cy, maxSpeed, out, slowRadius);
+}
+
+/** Away from the mates' centre — a school bursting apart. */
+export function scatter(e, mates, maxSpeed, out) {
+    const [cx, cy] = _centre(mates);
+    return flee(e, cx, cy, maxSpeed, out);
+}
+
+// ── Intents ───────────────────────────────────────────────────────────────────
+
+/**
+ * Head for `target` (anything with x/y; an entity is followed as it moves)
+ * at `speed` × the species' cruising speed. 'halt' needs no target.
+ * Cheap to call every frame: the same goal is kept, not rebuilt.
+ */
+export function setGoal(e, mode, target = null, speed = 1) {
+    const g = e.goal;
+    if (g && g.mode === mode && g.target === target && g.speed === speed) return;
+    e.goal = { mode, target, speed };
+}
+
+/** Back to wandering. */
+export function clearGoal(e) {
+    e.goal = null;
+}
+
+/** Keep away from `from` while it is close ('flee' its position, 'evade' its course). */
+export function setThreat(e, mode, from) {
+    if (e.threat?.mode === mode && e.threat.from === from) return;
+    e.threat = { mode, from };
+}
+
+export function clearThreat(e) {
+    e.threat = null;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _centre(list) {
+    let x = 0, y = 0;
+    for (const o of list) { x += o.x; y += o.y; }
+    return [x / list.length, y / list.length];
+}
+
+/** Steering towards direction (dx, dy) at `speed`. */
+function _toward(e, dx, dy, speed, out) {
+    const len = Math.hypot(dx, dy);
+    const k   = len > 0 ? speed / len : 0;
+    out.x = dx * k - e.vx;
+    out.y = dy * k - e.vy;
+    return out;
+}
+
+/** Seconds ahead to predict a moving target: time to close the gap, capped. */
+function _lead(e, target, maxSpeed) {
+    const dist  = Math.hypot(target.x - e.x, target.y - e.y);
+    const speed = maxSpeed + Math.hypot(target.vx ?? 0, target.vy ?? 0);
+    return speed > 0 ? Math.min(MAX_LEAD, dist / speed) : 0;
+}
@@ -1,7 +1,8 @@
 // engine/Systems/AISystem.js
 // Drives the AI "think" tick for BirdEntity (duck/swan/goose/etc.) and
 // MammalEntity predators. Entities throttle their own decisions via
-// lastDecisionTime; this system just calls _think() each frame.
+// lastDecisionTime (simulation time, from world.scheduler); this system
+// just calls _think() each frame.
 // Heavy decision logic lives in the entity classes themselves —
 // this system is the scheduler that ensures they fire on time.
 
@@ -22,7 +23,7 @@ export class AISystem {
         ];
 
         for (const e of pools) {
-            if (typeof e._think === 'function') e._think(this.entities, this.bus, this.config);
+            if (typeof e._think === 'function') e._think(this.entities, this.bus, this.config, this.world);
         }
     }
 }
@@ -0,0 +1,110 @@
+// engine/Systems/ComponentSystems.js
+// Systems for the component layer (engine/Components.js). Each one iterates a
+// component set through entities.components and works on any entity holding
+// it — class-based or assembled from a species' components block.
+// All respect the pause flag.
+// Velocity has no system of its own: MovementSystem steers what carries it.
+
+const FED_TO_BREED = 70;   // Hunger value a Reproducer needs to breed
+
+/**
+ * Falling: gravity until landY (default: the ocean surface). On landing the
+ * component is removed and entity.onLanded(world, entities) is called.
+ */
+export class FallingSystem {
+    constructor(world, entities) {
+        this.world    = world;
+        this.entities = entities;
+    }
+
+    update(dt) {
+        if (this.world.isPaused) return;
+        const store = this.entities.components;
+        store.each(['Falling'], (e, f) => {
+            f.vy += f.gravity * dt;
+            e.y  += f.vy * dt;
+            const landY = f.landY ?? this.world.oceanTop;
+            if (e.y < landY) return;
+            e.y = landY;
+            store.remove(e, 'Falling');
+            e.onLanded?.(this.world, this.entities);
+        });
+    }
+}
+
+/** Age: count up; past maxAge the entity dies of old age (entities.kill). */
+export class AgingSystem {
+    constructor(world, entities) {
+        this.world    = world;
+        this.entities = entities;
+    }
+
+    update(dt) {
+        if (this.world.isPaused) return;
+        this.entities.components.each(['Age'], (e, a) => {
+            a.age += dt;
+            if (a.age >= a.maxAge) this.entities.kill(e, 'age');
+        });
+    }
+}
+
+/** Hunger and Energy drain at their rate (negative = recover), clamped to [0, max]. */
+export class MetabolismSystem {
+    constructor(world, entities) {
+        this.world    = world;
+        this.entities = entities;
+    }
+
+    update(dt) {
+        if (this.world.isPaused) return;
+        const drain = (_e, c) => { c.value = Math.max(0, Math.min(c.max, c.value - c.rate * dt)); };
+        this.entities.components.each(['Hunger'], drain);
+        this.entities.components.each(['Energy'], drain);
+    }
+}
+
+/**
+ * Reproducer: tick the cooldown down. Once it is 0, the species is in its
+ * breeding season and the entity is fed (Hunger ≥ FED_TO_BREED, when it has
+ * Hunger), it pairs with a ready mate of its own species within `radius`:
+ * spawners.spawnSpecies puts their young between them, and all three wait
+ * `interval` s before breeding.
+ */
+export class ReproducerSystem {
+    constructor(world, entities, spawners) {
+        this.world    = world;
+        this.entities = entities;
+        this.spawners = spawners;
+    }
+
+    update(dt) {
+        if (this.world.isPaused) return;
+        const store = this.entities.components;
+        store.each(['Reproducer'], (_e, r) => {
+            r.cooldown = Math.max(0, r.cooldown - dt);
+        });
+        store.each(['Reproducer'], (e, r) => {
+            if (!this._ready(e, r) || !this.world.isBreedingSeason(e.speciesDef)) return;
+            const mate = this.entities.query({
+                pools:   e.poolKey,
+                species: e.speciesDef.id,
+                near:    { x: e.x, y: e.y, radius: r.radius },
+                where:   m => m !== e && this._ready(m, store.get(m, 'Reproducer')),
+                sortBy:  'distance',
+                limit:   1,
+            })[0];
+            if (!mate) return;
+            r.cooldown = store.get(mate, 'Reproducer').cooldown = r.interval;
+            if (!this.entities.canSpawn(e.speciesDef)) return;
+            const young = this.spawners.spawnSpecies(e.speciesDef, (e.x + mate.x) / 2, (e.y + mate.y) / 2);
+            const yr    = store.get(young, 'Reproducer');
+            if (yr) yr.cooldown = yr.interval;   // grows up first
+        });
+    }
+
+    _ready(e, r) {
+        if (!r || r.cooldown > 0 || this.entities.isDeadOrFalling(e)) return false;
+        const hunger = this.entities.components.get(e, 'Hunger');
+        return !hunger || hunger.value >= FED_TO_BREED;
+    }
+}
@@ -0,0 +1,55 @@
+// engine/Systems/CurrentSystem.js
+// Drifts entities along world.currents. Runs after movement, so a swimmer's
+// own heading and the water it swims in add up.
+//
+// How much an entity drifts is 1 − its resistance: the species'
+// currentResistance when it declares one, else one that grows with its
+// swimming speed — plankton-like shrimp go where the water goes, sharks
+// barely notice. Entities that are falling or flagged `anchored` stay put,
+// and a current never pushes anything through a wall or out of the depth
+// zones its species tolerates.
+
+const SPEED_HALF = 0.5;   // swimming speed that resists half the current
+
+export class CurrentSystem {
+    /**
+     * @param {World}         world
+     * @param {EntityManager} entities
+     * @param {string[]}      pools    pools whose entities drift
+     */
+    constructor(world, entities, pools) {
+        this.world    = world;
+        this.entities = entities;
+        this.pools    = pools;
+        this._v       = { x: 0, y: 0 };
+    }
+
+    update(dt) {
+        const w = this.world;
+        if (w.isPaused || !w.currents.strength) return;
+
+        for (const name of this.pools) {
+            for (const e of this.entities[name]) {
+                if (e.anchored || this.entities.isDeadOrFalling(e)) continue;
+
+                const drift = 1 - _resistance(e.speciesDef);
+                if (drift <= 0) continue;
+
+                w.currents.at(e.x, e.y, this._v);
+                const x = e.x + this._v.x * dt * drift;
+                const y = e.y + this._v.y * dt * drift;
+                const band = w.depthBandNear(e.speciesDef?.zoneRange, e.y);
+                if (x >= 0 && x <= w.width - 50)       e.x = x;
+                if (y >= band.top && y <= band.bottom) e.y = y;
+            }
+        }
+    }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _resistance(def) {
+    if (def?.currentResistance !== undefined) return def.currentResistance;
+    const speed = def?.speed ?? 0;
+    return speed / (speed + SPEED_HALF);
+}
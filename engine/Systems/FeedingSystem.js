@@ -0,0 +1,159 @@
+// engine/Systems/FeedingSystem.js
+// Who eats whom, for every consumer: a species' `diet` (SpeciesRegistry)
+// names the foods it takes — by species id or query tags — and this system
+// does the hunting and the eating.
+//
+//   diet: {
+//       foods:   [{ species | tags, weight = 1, nutrition }],
+//       range:   px it spots food within
+//       catch:   px from the food at which it is eaten
+//       speed:   × cruising speed while hunting (default 2)
+//       hungry:  hunger below which it looks for food (default 50)
+//       filter:  true — never hunts, eats whatever drifts within `catch`
+//   }
+//
+// A hunter picks the food with the best weight for its distance and pursues
+// it (the food, if it steers, evades). An entity may decide for itself when
+// it is hungry with wantsToEat(), turn down food its diet allows with
+// willEat(prey), and react to a meal with onEat(prey, nutrition, world, bus)
+// — hunger (the Hunger component's, if it has one) is raised here either way.
+
+import { Events }        from '../EventBus.js';
+import { EntityManager } from '../EntityManager.js';
+import { setGoal, clearGoal, setThreat } from '../Steering.js';
+
+const FORAGE_INTERVAL = 1;     // s between looks for food, per entity
+const GIVE_UP         = 1.5;   // × range at which a hunter lets its prey go
+
+// The older per-pool events still fire alongside PREY_EATEN
+const EATEN = {
+    food:  [Events.FOOD_EATEN, 'food'],
+    fish:  [Events.FISH_EATEN, 'fish'],
+    ducks: [Events.DUCK_EATEN, 'duck'],
+};
+
+export class FeedingSystem {
+    /**
+     * @param {World}         world
+     * @param {EntityManager} entities
+     * @param {EventBus}      bus
+     * @param {string[]}      consumers  pools whose entities feed
+     * @param {string[]}      foods      pools searched for food
+     */
+    constructor(world, entities, bus, consumers, foods) {
+        this.world     = world;
+        this.entities  = entities;
+        this.bus       = bus;
+        this.consumers = consumers;
+        this.foods     = foods;
+    }
+
+    update(dt) {
+        if (this.world.isPaused) return;
+
+        for (const name of this.consumers) {
+            for (const e of this.entities[name]) {
+                const diet = e.speciesDef?.diet;
+                if (!diet || this.entities.isDeadOrFalling(e)) continue;
+                if (diet.filter) this._filter(e, diet, dt);
+                else             this._hunt(e, diet, dt);
+            }
+        }
+    }
+
+    // ── Feeding ──────────────────────────────────
+
+    _hunt(e, diet, dt) {
+        let prey = this._live(e.prey);
+        if (prey !== e.prey || (prey && !this._hungry(e, diet))) {
+            this._drop(e);
+            prey = null;
+        }
+
+        if (!prey) {
+            if (!this._hungry(e, diet) || !this._ready(e, dt)) return;
+            const found = this._pick(e, diet, diet.range);
+            if (!found) return;
+            e.prey = found;
+            setGoal(e, 'pursue', found, diet.speed ?? 2);
+            if (found.speciesDef?.steering) setThreat(found, 'evade', e);
+            return;
+        }
+
+        const dist = Math.hypot(prey.x - e.x, prey.y - e.y);
+        if (dist < diet.catch)               this._eat(e, prey, diet);
+        else if (dist > diet.range * GIVE_UP) this._drop(e);
+    }
+
+    _filter(e, diet, dt) {
+        if (!this._hungry(e, diet) || !this._ready(e, dt)) return;
+        const prey = this._pick(e, diet, diet.catch);
+        if (prey) this._eat(e, prey, diet);
+    }
+
+    _eat(e, prey, diet) {
+        const nutrition = this._food(diet, prey)?.nutrition ?? 0;
+        this._drop(e);
+        this.entities.kill(prey, 'predation');
+
+        const hunger = this.entities.components.get(e, 'Hunger');
+        if (hunger) hunger.value = Math.min(hunger.max, hunger.value + nutrition);
+        else        e.hunger     = Math.min(100, (e.hunger ?? 0) + nutrition);
+        e.onEat?.(prey, nutrition, this.world, this.bus);
+
+        this.bus.emit(Events.PREY_EATEN, { eater: e, prey, nutrition });
+        const legacy = EATEN[prey.poolKey];
+        if (legacy) this.bus.emit(legacy[0], { [legacy[1]]: prey, eater: e });
+    }
+
+    // ── Choosing ─────────────────────────────────
+
+    /** The food within `radius` with the best weight for its distance. */
+    _pick(e, diet, radius) {
+        let best = null, bestScore = 0;
+        for (const food of diet.foods) {
+            const found = this.entities.query({
+                pools:   this.foods,
+                species: food.species ?? null,
+                tags:    food.tags ?? null,
+                near:    { x: e.x, y: e.y, radius },
+                where:   p => p !== e && !this.entities.isDeadOrFalling(p) && (!e.willEat || e.willEat(p)),
+            });
+            for (const p of found) {
+                const score = (food.weight ?? 1) / (Math.hypot(p.x - e.x, p.y - e.y) + diet.catch);
+                if (score > bestScore) { best = p; bestScore = score; }
+            }
+        }
+        return best;
+    }
+
+    /** The diet entry `prey` matches. */
+    _food(diet, prey) {
+        return diet.foods.find(f =>
+            (!f.species || EntityManager.isSpecies(prey, f.species)) &&
+            (!f.tags    || EntityManager.hasTags(prey, f.tags)));
+    }
+
+    _hungry(e, diet) {
+        return e.wantsToEat ? e.wantsToEat() : (this.entities.hungerOf(e) ?? 0) < (diet.hungry ?? 50);
+    }
+
+    /** Whether it is time for e to look for food again. */
+    _ready(e, dt) {
+        e.forageTimer = (e.forageTimer ?? 0) - dt;
+        if (e.forageTimer > 0) return false;
+        e.forageTimer = FORAGE_INTERVAL;
+        return true;
+    }
+
+    /** Stop hunting, and stop heading for the prey. */
+    _drop(e) {
+        if (e.prey && e.goal?.target === e.prey) clearGoal(e);
+        e.prey = null;
+    }
+
+    _live(prey) {
+        if (!prey || prey.dead || this.entities.getById(prey.id) !== prey) return null;
+        return prey;
+    }
+}
@@ -0,0 +1,143 @@
+// engine/Systems/HealthSystem.js
+// Hit points for every creature — `health`, 0–100 — and what wears them down:
+//
+//   starvation   hunger at 0, for species with a diet (the rest never eat)
+//   exhaustion   energy at 0, for creatures that have energy
+//   toxicity     water polluted past TOXIC_LEVEL where it swims
+//                (world.pollution), worse the dirtier; and every meal of
+//                something toxic
+//   disease      now and then a creature falls ill — more often crowded in
+//                with its own kind — and passes it on to those nearby
+//
+// Fed, rested and well, a creature heals. At 0 it dies of whatever dealt the
+// last blow, through entities.kill (ENTITY_DIED { entity, cause }). Old age
+// and being eaten are the entities' and FeedingSystem's.
+// Hunger and energy are read through entities.hungerOf()/energyOf(), so
+// species built from Hunger and Energy components count as well.
+
+import { Events }        from '../EventBus.js';
+import { EntityManager } from '../EntityManager.js';
+
+const STARVE_RATE   = 1;      // health/s lost at hunger 0
+const EXHAUST_RATE  = 1;      // health/s lost at energy 0
+const TOXIC_LEVEL   = 75;     // local water pollution above which swimmers are poisoned
+const TOXIC_RATE    = 1;      // health/s lost in fully polluted water
+const TOXIC_MEAL    = 15;     // health lost per toxic meal
+const FED           = 50;     // hunger above which a creature can heal
+const RESTED        = 30;     // energy above which it can heal
+const REGEN_RATE    = 1;      // health/s healed
+const CHECK_EVERY   = 1;      // s between disease rolls
+const ILLNESS       = 0.002;  // chance per roll of falling ill, alone
+const CROWD_RADIUS  = 60;     // px — own kind this close count as crowding
+const CONTAGION     = 0.15;   // chance per roll of catching it off each sick neighbour
+const SICK_TIME     = [15, 30];
+const DISEASE_RATE  = 1.5;    // health/s lost while sick
+
+const LOG = {
+    starvation: 'starved',
+    exhaustion: 'died of exhaustion',
+    toxicity:   'was poisoned',
+    disease:    'died of disease',
+};
+
+export class HealthSystem {
+    /**
+     * @param {World}         world
+     * @param {EntityManager} entities
+     * @param {EventBus}      bus
+     * @param {string[]}      pools  pools whose creatures have health
+     */
+    constructor(world, entities, bus, pools) {
+        this.world    = world;
+        this.entities = entities;
+        this.bus      = bus;
+        this.pools    = pools;
+        this.timer    = CHECK_EVERY;   // s to the next disease roll
+
+        this._off = bus.on(Events.PREY_EATEN, ({ eater, prey }) => {
+            if (EntityManager.hasTags(prey, ['toxic'])) this._hurt(eater, TOXIC_MEAL, 'toxicity');
+        });
+    }
+
+    /** Engine hook on removeSystem/replaceSystem. */
+    dispose() {
+        this._off();
+    }
+
+    update(dt) {
+        if (this.world.isPaused) return;
+
+        this.timer -= dt;
+        const roll = this.timer <= 0;
+        if (roll) this.timer += CHECK_EVERY;
+
+        for (const name of this.pools) {
+            for (const e of this.entities[name]) {
+                if (this.entities.hungerOf(e) === undefined || this.entities.isDeadOrFalling(e)) continue;
+                if (roll) this._spread(e);
+                this._tick(e, dt);
+            }
+        }
+    }
+
+    // ── Health ───────────────────────────────────
+
+    _tick(e, dt) {
+        const def    = e.speciesDef ?? {};
+        const hunger = this.entities.hungerOf(e);
+        const energy = this.entities.energyOf(e) ?? 100;
+        const toxic  = def.onIsland ? 0 : this._toxicity(e);
+
+        if (e.sick > 0) e.sick = Math.max(0, e.sick - dt);
+        if (hunger > FED && energy > RESTED && !e.sick)
+            e.health = Math.min(100, (e.health ?? 100) + REGEN_RATE * dt);
+
+        if (def.diet && hunger <= 0) this._hurt(e, STARVE_RATE * dt, 'starvation');
+        if (energy <= 0)               this._hurt(e, EXHAUST_RATE * dt, 'exhaustion');
+        if (toxic > 0)                 this._hurt(e, TOXIC_RATE * toxic * dt, 'toxicity');
+        if (e.sick > 0)                this._hurt(e, DISEASE_RATE * dt, 'disease');
+    }
+
+    /** 0 in water at or below TOXIC_LEVEL, 1 in fully polluted water. */
+    _toxicity(e) {
+        return Math.max(0, this.world.pollution.at(e.x, e.y) - TOXIC_LEVEL) / (100 - TOXIC_LEVEL);
+    }
+
+    _hurt(e, amount, cause) {
+        if (e.dead) return;
+        e.health = (e.health ?? 100) - amount;
+        if (e.health > 0) return;
+
+        e.health = 0;
+        this.entities.kill(e, cause);
+        const name = e.speciesDef?.name ?? 'Creature';
+        this.bus.emit(Events.LOG_EVENT, { message: `${name} #${e.id} ${LOG[cause] ?? 'died'} 💀` });
+    }
+
+    // ── Disease ──────────────────────────────────
+
+    /** Once a CHECK_EVERY: fall ill alone or in a crowd, or catch it off a neighbour. */
+    _spread(e) {
+        if (e.sick > 0) return;
+        const rng     = this.world.rng;
+        const kin     = this.entities.query({
+            pools:   e.poolKey,
+            species: e.speciesDef ?? null,
+            near:    { x: e.x, y: e.y, radius: CROWD_RADIUS },
+            where:   n => n !== e,
+        });
+        const exposed = kin.filter(n => n.sick > 0).length;
+        if (rng.chance(ILLNESS * (1 + kin.length)) || (exposed && rng.chance(1 - (1 - CONTAGION) ** exposed)))
+            e.sick = rng.range(...SICK_TIME);
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    snapshot() {
+        return { timer: this.timer };
+    }
+
+    restore(s) {
+        this.timer = s.timer;
+    }
+}
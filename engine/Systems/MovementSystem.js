@@ -1,44 +1,179 @@
 // engine/Systems/MovementSystem.js
-// Drives autonomous movement (wander + bounce) for fish, sea creatures,
-// and marine mammals. Birds and shrimp have their own physics handled
-// inside their entity classes, but this system handles the shared
-// moveFreely / wander pattern used by FishEntity and MammalEntity.
+// The one movement integrator for steered entities: birds, fish, sea
+// creatures, octopi, shrimp and island predators, plus species built from
+// components that carry Velocity. Entities only state what
+// they want (goal / threat, see engine/Steering.js); every step this system
+// sums the steering behaviours, weighted by the species' `steering` table,
+// into an acceleration and moves them by velocity.
+//
+// Behaviours and the weights that scale them:
+//   goal     seek | arrive | pursue | halt — or wander when there is none
+//   threat   flee | evade, while the threat is within fleeRadius
+//   schooling  separation, alignment, cohesion among same-species neighbours,
+//              for species with `schooling` — see _school
+//   avoid    the obstacles (e.g. islands) in the way
+//   contain  back inside the world and the species' depth zones
+//   prefer   back into the preferred zones, gently
+// `agility` sets how quickly velocity can change; a goal's speed and `panic`
+// (when fleeing) multiply the cruising speed, species speed × SPEED_SCALE.
+
+import {
+    seek, arrive, pursue, flee, evade, wander, avoidObstacles, contain, brake,
+    separate, align, cohere, scatter,
+} from '../Steering.js';
+
+const SPEED_SCALE  = 25;    // px/s per unit of species speed
+const EDGE_MARGIN  = 40;    // px inside the bounds where containment starts turning
+const WALL_MARGIN  = 50;    // px kept clear at the right and bottom edges
+const ALARM_TIME   = 1.5;   // s a school stays scattered after the danger
+const ALARM_SPREAD = 0.8;   // share of a neighbour's alarm passed on each step
 
 export class MovementSystem {
-    constructor(world, entities) {
-        this.world    = world;
-        this.entities = entities; // EntityManager
+    /**
+     * @param {World}         world
+     * @param {EntityManager} entities
+     * @param {string[]}      pools       pools whose entities are steered
+     * @param {function}      [obstacles] () → [{ x, y, r }] circles to steer around
+     */
+    constructor(world, entities, pools, obstacles = () => []) {
+        this.world     = world;
+        this.entities  = entities; // EntityManager
+        this.pools     = pools;
+        this.obstacles = obstacles;
+        this._f        = { x: 0, y: 0 };   // scratch force
     }
 
     update(dt) {
-        if (this.world.isPaused) return;
-
-        const pools = [
-            ...this.entities.fish,
-            ...this.entities.seaCreatures,
-            ...this.entities.octopi,
-        ];
-
-        for (const e of pools) {
-            if (!e._usesMovementSystem) continue; // opt-in flag
-            this._wander(e);
-            this._moveFreely(e, dt);
+        const w = this.world;
+        if (w.isPaused) return;
+
+        const obstacles  = this.obstacles();
+        const components = this.entities.components;
+        for (const name of this.pools) {
+            for (const e of this.entities[name]) {
+                if (this.entities.isDeadOrFalling(e)) continue;
+                const st       = e.speciesDef?.steering;
+                const speed    = components.get(e, 'Velocity')?.speed ?? e.speed ?? 0;
+                const maxSpeed = speed * SPEED_SCALE;
+                if (!st || maxSpeed <= 0) continue;
+                this._move(e, st, maxSpeed, obstacles, dt);
+            }
+        }
+    }
+
+    // ── Steering ─────────────────────────────────
+
+    _move(e, st, maxSpeed, obstacles, dt) {
+        const w = this.world;
+        let ax = 0, ay = 0;
+        const add = (weight, f) => { ax += weight * f.x; ay += weight * f.y; };
+
+        // What it wants
+        const goal = this._live(e, 'goal', e.goal?.target);
+        let top = maxSpeed;
+        if (!goal) {
+            if (st.wander) add(st.wander, wander(e, w.rng, maxSpeed, this._f));
+        } else if (goal.mode === 'halt') {
+            add(1, brake(e, this._f));
+        } else {
+            const t = goal.target;
+            top = maxSpeed * goal.speed;
+            if (goal.mode === 'seek')   add(st.seek,   seek(e, t.x, t.y, top, this._f));
+            if (goal.mode === 'arrive') add(st.arrive, arrive(e, t.x, t.y, top, this._f));
+            if (goal.mode === 'pursue') add(st.pursue, pursue(e, t, top, this._f));
+        }
+
+        // What it runs from
+        const threat  = this._live(e, 'threat', e.threat?.from);
+        const fleeing = threat && Math.hypot(threat.from.x - e.x, threat.from.y - e.y) < st.fleeRadius;
+        if (fleeing) {
+            top = Math.max(top, maxSpeed * st.panic);
+            if (threat.mode === 'flee')  add(st.flee,  flee(e, threat.from.x, threat.from.y, top, this._f));
+            if (threat.mode === 'evade') add(st.evade, evade(e, threat.from, top, this._f));
+        }
+
+        // Who it swims with — unless it is off somewhere
+        const school = e.speciesDef.schooling;
+        if (school && (!goal || goal.mode === 'halt') &&
+            this._school(e, school, fleeing, maxSpeed * st.panic, maxSpeed, dt, add)) {
+            top = Math.max(top, maxSpeed * st.panic);
         }
+
+        // Where it may go
+        if (st.avoid) add(st.avoid, avoidObstacles(e, obstacles, maxSpeed, this._f));
+        const range = e.speciesDef.zoneRange ? w.depthBandNear(e.speciesDef.zoneRange, e.y) : null;
+        add(st.contain, contain(e, this._bounds(range), top, this._f, EDGE_MARGIN));
+        if (st.prefer && e.speciesDef.preferredZones)
+            add(st.prefer, contain(e, this._bounds(w.depthBandNear(e.speciesDef.preferredZones, e.y)), maxSpeed, this._f));
+
+        // Integrate: the force, capped at top speed, closes the gap in 1/agility s
+        const f = Math.hypot(ax, ay);
+        const k = st.agility * (f > top ? top / f : 1);
+        e.vx += ax * k * dt;
+        e.vy += ay * k * dt;
+        const v = Math.hypot(e.vx, e.vy);
+        if (v > top) { e.vx *= top / v; e.vy *= top / v; }
+
+        e.x += e.vx * dt;
+        e.y += e.vy * dt;
+        if (v > 1) e.direction = Math.atan2(e.vy, e.vx);
+
+        // The side walls are hard
+        if (e.x < 0)                       { e.x = 0;                       e.vx =  Math.abs(e.vx); }
+        if (e.x > w.width - WALL_MARGIN)   { e.x = w.width - WALL_MARGIN;   e.vx = -Math.abs(e.vx); }
     }
 
-    _wander(e, probability = 0.02) {
-        if (Math.random() < probability)
-            e.direction += (Math.random() - 0.5) * Math.PI / 4;
+    /**
+     * Boids among same-species neighbours within school.radius, found through
+     * the pool's spatial grid: keep apart, swim the same way, stay together.
+     * A member in danger — its own threat close, or a `wary` species in
+     * range — raises the alarm, neighbours pass it on, and the school bursts
+     * apart until it dies down. Returns whether it is scattering.
+     */
+    _school(e, school, fleeing, panicSpeed, maxSpeed, dt, add) {
+        const id    = e.speciesDef.id;
+        const mates = [];
+        let alarm   = fleeing ? ALARM_TIME : Math.max(0, (e.alarm ?? 0) - dt);
+        for (const n of this.entities.query({ pools: e.poolKey, near: { x: e.x, y: e.y, radius: school.radius } })) {
+            if (n === e) continue;
+            if (n.speciesDef?.id === id) {
+                mates.push(n);
+                alarm = Math.max(alarm, (n.alarm ?? 0) * ALARM_SPREAD);
+            } else if (school.wary?.includes(n.speciesDef?.id)) {
+                alarm = ALARM_TIME;
+            }
+        }
+        e.alarm = alarm;
+        if (!mates.length) return alarm > 0;
+
+        const w = school.weights;
+        if (alarm > 0) {
+            add(w.separation, scatter(e, mates, panicSpeed, this._f));
+            return true;
+        }
+        add(w.separation, separate(e, mates, school.radius / 2, maxSpeed, this._f));
+        add(w.alignment,  align(e, mates, this._f));
+        add(w.cohesion,   cohere(e, mates, maxSpeed, this._f, school.radius));
+        return false;
     }
 
-    _moveFreely(e, dt, speedMultiplier = 1) {
+    /** World bounds, narrowed to a depth band. */
+    _bounds(band) {
         const w = this.world;
-        const spd = e.speed * dt * 25 * speedMultiplier;
-        e.x += Math.cos(e.direction) * spd;
-        e.y += Math.sin(e.direction) * spd;
+        return {
+            left:   0,
+            right:  w.width - WALL_MARGIN,
+            top:    band?.top    ?? 0,
+            bottom: band?.bottom ?? w.height - WALL_MARGIN,
+        };
+    }
 
-        // Bounce off ocean walls
-        if (e.x < 0 || e.x > w.width - 50)       e.direction = Math.PI - e.direction;
-        if (e.y < w.oceanTop || e.y > w.height - 50) e.direction = -e.direction;
+    /** e[field] while the entity it points at is still in the world; cleared once it is gone. */
+    _live(e, field, target) {
+        const intent = e[field];
+        if (!intent || !target || target.id === undefined) return intent ?? null;
+        if (!target.dead && this.entities.getById(target.id) === target) return intent;
+        e[field] = null;
+        return null;
     }
 }
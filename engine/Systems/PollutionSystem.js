@@ -1,10 +1,18 @@
 // engine/Systems/PollutionSystem.js
-// Owns the water pollution value.
-// Algae tick their pollutionRate into the system each frame.
-// The system also removes expired algae and clamps pollution to [0,100].
+// Drives the water pollution field (world.pollution, engine/PollutionField.js).
+// Each alga puts its pollutionRate into the water around it — toxic algae
+// foul it, kelp, seagrass and green algae clean it; the weather
+// (world.weather) boosts toxic algae in a heatwave, and rain dilutes the
+// whole sea while washing runoff in around the islands. Then the field
+// diffuses and drifts with the currents.
+// entities.waterPollution is kept as the field's average, for the HUD and
+// everything else that wants one number. The system also removes expired algae.
 
 import { Events } from '../EventBus.js';
 
+const SPREAD    = 240;   // px around an alga or island that its output is spread over
+const DIFFUSION = 0.1;   // share of the difference with each neighbour cell evened out per s
+
 export class PollutionSystem {
     constructor(world, entities, bus) {
         this.world    = world;
@@ -15,9 +23,13 @@ export class PollutionSystem {
     update(dt) {
         if (this.world.isPaused) return;
 
-        let delta = 0;
+        const field   = this.world.pollution;
+        // Rates are points/s of the sea's average, as when pollution was one
+        // number: spread over one spot, they are scaled up by the cell count
+        const cells   = field.cols * field.rows;
+        const weather = this.world.weather ?? {};
 
-        // All algae arrays contribute to pollution
+        // Every plant pool pollutes or cleans where it stands
         const algaePools = [
             ...this.entities.algae,
             ...this.entities.seagrass,
@@ -27,18 +39,26 @@ export class PollutionSystem {
         for (const a of algaePools) {
             a.lifetime -= dt;
             if (a.speciesDef?.pollutionRate !== undefined) {
-                delta += a.speciesDef.pollutionRate * dt;
+                const boost = a.speciesDef.toxic ? (weather.toxicBoost ?? 1) : 1;
+                field.spill(a.x, a.y, SPREAD, a.speciesDef.pollutionRate * boost * cells * dt);
             }
             if (a.lifetime <= 0) {
                 this.entities.queueRemove(a);
             }
         }
 
-        // Apply and clamp
+        if (weather.runoff) {
+            for (const island of this.entities.islands) {
+                const f = island.footprint;
+                field.spill(f.x, f.y, SPREAD, weather.runoff * cells * dt);
+            }
+        }
+        if (weather.dilution) field.addAll(-weather.dilution * dt);
+
+        field.step(dt, DIFFUSION, this.world.currents);
+
         const prev = this.entities.waterPollution;
-        this.entities.waterPollution = Math.max(0, Math.min(100,
-            this.entities.waterPollution + delta
-        ));
+        this.entities.waterPollution = field.average;
 
         if (Math.abs(this.entities.waterPollution - prev) > 0.01) {
             this.bus.emit(Events.POLLUTION_CHANGED,
@@ -3,17 +3,45 @@
 // Entities no longer touch the DOM directly — they update their own
 // x/y/state and this system pushes those values into CSS each frame.
 // The domMap tracks entity → element so we can create and destroy nodes.
+//
+// Elements live in a world-sized layer, positioned in world coordinates;
+// the camera is applied to the whole layer as one CSS transform.
 
 export class RenderSystem {
-    constructor(world, entities, container) {
-        this.world     = world;
-        this.entities  = entities;
-        this.container = container;
+    /**
+     * @param {World}       world
+     * @param {EntityManager} entities
+     * @param {HTMLElement} container  the viewport element
+     * @param {Camera}      camera
+     */
+    constructor(world, entities, container, camera) {
+        this.world      = world;
+        this.entities   = entities;
+        this.container  = container;
+        this.camera     = camera;
+        this.phase      = 'frame'; // once per displayed frame, not per sim step
         // entity → HTMLElement
-        this.domMap    = new Map();
+        this.domMap     = new Map();
+        this._transform = '';
+
+        // Everything in world coordinates goes in here (entities, UFO, particles)
+        this.layer = document.createElement('div');
+        this.layer.className    = 'world-layer';
+        this.layer.style.cssText =
+            `position:absolute;left:0;top:0;width:${world.width}px;height:${world.height}px;transform-origin:0 0;`;
+        const water = document.createElement('div');
+        water.className    = 'world-water';
+        water.style.cssText = `position:absolute;left:0;right:0;bottom:0;top:${world.oceanTop}px;pointer-events:none;`;
+        this.layer.appendChild(water);
+        container.appendChild(this.layer);
     }
 
     update(_dt) {
+        const transform = this.camera.transform;
+        if (transform !== this._transform) {
+            this.layer.style.transform = this._transform = transform;
+        }
+
         const allArrays = this.entities.allArrays;
 
         // All entities that need to be in the DOM
@@ -21,13 +49,15 @@ export class RenderSystem {
         for (const arr of allArrays)
             for (const e of arr) live.add(e);
 
-        // Sync existing or create new elements
+        // Sync existing or create new elements. An entity that lost its element
+        // (destroyed, then brought back by a Replay rewind) gets a fresh one.
         for (const e of live) {
-            if (!this.domMap.has(e)) {
+            if (!this.domMap.has(e) || !e.element) {
+                this.domMap.get(e)?.remove();
                 const el = this._createElement(e);
                 if (el) {
                     this.domMap.set(e, el);
-                    this.container.appendChild(el);
+                    this.layer.appendChild(el);
                 }
             }
             const el = this.domMap.get(e);
@@ -43,20 +73,31 @@ export class RenderSystem {
         }
     }
 
+    /** Engine hook on removeSystem/replaceSystem — hand the DOM back clean. */
+    dispose() {
+        for (const [e, el] of this.domMap.entries()) {
+            el.remove();
+            if (e.element === el) e.element = null;
+        }
+        this.domMap.clear();
+    }
+
     // ── DOM creation per entity type ─────────────────────────────────────────
 
     _createElement(entity) {
         // Entities opt in by exposing a createElement() on themselves.
         // This keeps entity-specific HTML (duck stats bars, etc.) in the entity class.
         if (typeof entity.createElement === 'function') {
-            const el = entity.createElement(this.container);
+            const el = entity.createElement(this.layer);
             entity.element = el;
             return el;
         }
-        // Generic fallback for simple entities
+        // Generic fallback: the Renderable component, else the species emoji
+        const look = this.entities.components.get(entity, 'Renderable');
         const el = document.createElement('div');
-        el.style.cssText = 'position:absolute;pointer-events:none;font-size:24px;';
-        el.textContent   = entity.speciesDef?.emoji ?? '?';
+        el.style.cssText = `position:absolute;pointer-events:none;font-size:${look?.size ?? 24}px;`;
+        el.textContent   = look?.emoji ?? entity.speciesDef?.emoji ?? '?';
+        if (look?.className) el.className = look.className;
         entity.element   = el;
         return el;
     }
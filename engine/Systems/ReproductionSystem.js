@@ -2,7 +2,8 @@
 // Handles natural (unprompted) reproduction for fish and marine mammals.
 // Bird breeding is intent-driven (triggered by BirdEntity._think()),
 // so it stays in BirdEntity. This system handles the passive pair-finding
-// for species that breed when close and conditions are met.
+// for species that breed when close, conditions are met and it is their
+// breeding season (world.isBreedingSeason).
 
 import { Events } from '../EventBus.js';
 
@@ -29,12 +30,13 @@ export class ReproductionSystem {
     }
 
     _processFishReproduction(dt) {
-        const pool = [...this.entities.fish, ...this.entities.seaCreatures, ...this.entities.octopi];
+        // Mammals (seaCreatures) have their own pass below
+        const pool = [...this.entities.fish, ...this.entities.octopi];
         for (const a of pool) {
-            if (!a.reproductionCooldown !== undefined) continue;
             a.reproductionCooldown = Math.max(0, (a.reproductionCooldown ?? 0) - dt);
             if (a.hunger < 70 || a.reproductionCooldown > 0) continue;
-            if (Math.random() > 0.01) continue;
+            if (!this.world.isBreedingSeason(a.speciesDef)) continue;
+            if (this.world.rng.next() > 0.01) continue;
 
             for (const b of pool) {
                 if (b === a || b.speciesDef?.id !== a.speciesDef?.id) continue;
@@ -51,8 +53,8 @@ export class ReproductionSystem {
     _spawnFishOffspring(a, b) {
         a.reproductionCooldown = b.reproductionCooldown = 40;
         if (!this.entities.canSpawn(a.speciesDef)) return;
-        const bx = (a.x + b.x) / 2 + (Math.random() - 0.5) * 50;
-        const by = (a.y + b.y) / 2 + (Math.random() - 0.5) * 50;
+        const bx = (a.x + b.x) / 2 + this.world.rng.spread(50);
+        const by = (a.y + b.y) / 2 + this.world.rng.spread(50);
         const baby = this.spawners.spawnFish(a.speciesDef, bx, by);
         if (baby) {
             this.bus.emit(Events.LOG_EVENT,
@@ -65,6 +67,7 @@ export class ReproductionSystem {
             if (!a.speciesDef || a.speciesDef.isPredator) continue;
             a.reproductionCooldown = Math.max(0, (a.reproductionCooldown ?? 0) - dt);
             if (a.hunger < 70 || a.reproductionCooldown > 0) continue;
+            if (!this.world.isBreedingSeason(a.speciesDef)) continue;
 
             for (const b of this.entities.seaCreatures) {
                 if (b === a || b.speciesDef?.id !== a.speciesDef?.id) continue;
@@ -81,8 +84,8 @@ export class ReproductionSystem {
     _spawnMarineOffspring(a, b) {
         a.reproductionCooldown = b.reproductionCooldown = 40;
         if (!this.entities.canSpawn(a.speciesDef)) return;
-        const bx = (a.x + b.x) / 2 + (Math.random() - 0.5) * 50;
-        const by = (a.y + b.y) / 2 + (Math.random() - 0.5) * 50;
+        const bx = (a.x + b.x) / 2 + this.world.rng.spread(50);
+        const by = (a.y + b.y) / 2 + this.world.rng.spread(50);
         this.spawners.spawnSeaCreature(a.speciesDef, bx, by);
         this.bus.emit(Events.LOG_EVENT,
             { message: `${a.speciesDef.name} #${a.id} & #${b.id} had offspring! ${a.speciesDef.emoji}💕` });
@@ -93,7 +96,8 @@ export class ReproductionSystem {
             if (!a.speciesDef || a.speciesDef.isBaby) continue;
             a.reproductionCooldown = Math.max(0, (a.reproductionCooldown ?? 0) - dt);
             if (a.hunger < 60 || a.reproductionCooldown > 0) continue;
-            if (Math.random() > 0.01) continue;
+            if (!this.world.isBreedingSeason(a.speciesDef)) continue;
+            if (this.world.rng.next() > 0.01) continue;
 
             for (const b of this.entities.food) {
                 if (b === a || b.speciesDef?.isBaby || (b.reproductionCooldown ?? 0) > 0) continue;
@@ -108,12 +112,12 @@ export class ReproductionSystem {
 
     _spawnShrimpBabies(a, b) {
         a.reproductionCooldown = b.reproductionCooldown = 20;
-        const num = Math.floor(Math.random() * 3) + 1;
+        const num = this.world.rng.int(3) + 1;
         let spawned = 0;
         for (let i = 0; i < num; i++) {
             const baby = this.spawners.spawnBabyShrimp(
-                (a.x + b.x) / 2 + (Math.random() - 0.5) * 30,
-                (a.y + b.y) / 2 + (Math.random() - 0.5) * 30,
+                (a.x + b.x) / 2 + this.world.rng.spread(30),
+                (a.y + b.y) / 2 + this.world.rng.spread(30),
             );
             if (baby) spawned++;
         }
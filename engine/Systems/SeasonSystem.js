@@ -0,0 +1,80 @@
+// engine/Systems/SeasonSystem.js
+// Announces each new season and moves migratory birds. The year itself is
+// a function of world.time (see World: season, seasonal()), so this only
+// watches for the turn of the season.
+//
+// A bird species that lists awaySeasons leaves the pond as one of them
+// begins and comes back, as many as left, when it ends.
+
+import { Events } from '../EventBus.js';
+
+export class SeasonSystem {
+    /**
+     * @param {World}         world
+     * @param {EntityManager} entities
+     * @param {EventBus}      bus
+     * @param {Spawners}      spawners
+     * @param {object[]}      migrants  bird species definitions with awaySeasons
+     */
+    constructor(world, entities, bus, spawners, migrants = []) {
+        this.world    = world;
+        this.entities = entities;
+        this.bus      = bus;
+        this.spawners = spawners;
+        this.migrants = migrants;
+        this.current  = world.season?.name ?? null;
+        this._away    = new Map();   // species id → how many left
+    }
+
+    update() {
+        const w = this.world;
+        if (w.isPaused) return;
+
+        const season = w.season?.name ?? null;
+        if (season === this.current) return;
+
+        const from   = this.current;
+        this.current = season;
+        this.bus.emit(Events.SEASON_CHANGED, { from, to: season, year: w.year });
+        for (const def of this.migrants) this._migrate(def, season);
+    }
+
+    // ── Migration ────────────────────────────────
+
+    _migrate(def, season) {
+        const away = def.awaySeasons.includes(season);
+        if (away === this._away.has(def.id)) return;
+
+        if (away) {
+            const leaving = this.entities.ducks.filter(b => b.speciesDef?.id === def.id);
+            for (const b of leaving) this.entities.queueRemove(b);
+            this._away.set(def.id, leaving.length);
+            this._announce(def, leaving.length, true);
+        } else {
+            const count = this._away.get(def.id);
+            this._away.delete(def.id);
+            let back = 0;
+            for (let i = 0; i < count; i++) if (this.spawners.addBird(def)) back++;
+            this._announce(def, back, false);
+        }
+    }
+
+    _announce(def, count, leaving) {
+        if (!count) return;
+        this.bus.emit(Events.BIRDS_MIGRATED, { speciesId: def.id, count, leaving });
+        this.bus.emit(Events.LOG_EVENT, {
+            message: `${def.emoji} ${def.name} ×${count} ${leaving ? 'flew off' : 'came back'} for the ${this.current}`,
+        });
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    snapshot() {
+        return { current: this.current, away: Object.fromEntries(this._away) };
+    }
+
+    restore(s) {
+        this.current = s.current;
+        this._away   = new Map(Object.entries(s.away));
+    }
+}
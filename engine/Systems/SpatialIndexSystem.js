@@ -0,0 +1,16 @@
+// engine/Systems/SpatialIndexSystem.js
+// Keeps every spatial grid in step with entity positions. Nothing that moves
+// has to report it: once per step, after movement and the per-entity update
+// pass, every grid-registered entity that crossed a cell boundary is re-filed.
+// Grid queries made before it runs see last step's cells — at most one step
+// stale, and always distance-checked against live positions.
+
+export class SpatialIndexSystem {
+    constructor(entities) {
+        this.entities = entities; // EntityManager
+    }
+
+    update() {
+        this.entities.refreshGrids();
+    }
+}
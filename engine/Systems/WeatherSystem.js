@@ -0,0 +1,124 @@
+// engine/Systems/WeatherSystem.js
+// Weather as a chain of spells over a table of states handed in by the game
+// (game/Weather.js). Each spell lasts a random time within its state's
+// duration, then moves on to one of its `next` states by weight.
+//
+// The current state's row is published as world.weather. Quantities with an
+// owner read it there — PollutionSystem for rain and heat, World.lightAt for
+// cloud cover. The rest happens here: wind blows birds around, storms wreck
+// nests, heatwaves set off toxic algae blooms.
+
+import { Events } from '../EventBus.js';
+
+export class WeatherSystem {
+    /**
+     * @param {World}         world
+     * @param {EntityManager} entities
+     * @param {EventBus}      bus
+     * @param {Spawners}      spawners
+     * @param {object}        table    name → state, see game/Weather.js
+     * @param {string}        [initial='clear']
+     */
+    constructor(world, entities, bus, spawners, table, initial = 'clear') {
+        this.world    = world;
+        this.entities = entities;
+        this.bus      = bus;
+        this.spawners = spawners;
+        this.table    = table;
+        this.state    = null;
+        this.timer    = 0;      // seconds left in this spell
+        this.windDir  = 1;      // +1 blows east, −1 west
+        this._begin(initial);
+    }
+
+    /** Current wind in px/s, signed, gusting. */
+    get wind() {
+        const base = this.world.weather.wind ?? 0;
+        return base * this.windDir * (0.6 + 0.8 * Math.abs(Math.sin(this.world.time * 1.7)));
+    }
+
+    /** Switch to `name` now, e.g. from the console or a replayed action. */
+    set(name) {
+        if (!this.table[name]) throw new Error(`WeatherSystem: unknown weather "${name}"`);
+        this._change(name);
+    }
+
+    update(dt) {
+        const w = this.world;
+        if (w.isPaused) return;
+
+        this.timer -= dt;
+        if (this.timer <= 0) this._change(this._pickNext());
+
+        const s = w.weather;
+        if (s.wind)        this._blowBirds(dt);
+        if (s.nestDamage)  this._damageNests(s.nestDamage * dt);
+        if (s.bloomChance && w.rng.chance(s.bloomChance * dt)) {
+            const bloom = this.spawners.addAlgae('toxic');
+            if (bloom) this.bus.emit(Events.LOG_EVENT, { message: `${s.emoji} The heat set off a toxic algae bloom 🔴` });
+        }
+    }
+
+    // ── Effects ──────────────────────────────────
+
+    _blowBirds(dt) {
+        const push  = this.wind * dt;
+        const limit = this.world.width - 50;
+        const islands = this.entities.islands;
+        for (const b of this.entities.ducks) {
+            if (islands.some(i => i.covers(b.x, b.y))) continue;   // sheltering on land
+            b.x = Math.max(0, Math.min(limit, b.x + push));
+        }
+    }
+
+    _damageNests(chance) {
+        for (const egg of this.entities.eggs) {
+            if (egg._hatching || !this.world.rng.chance(chance)) continue;
+            this.entities.queueRemove(egg);
+            this.bus.emit(Events.NEST_DAMAGED, { egg, weather: this.state });
+            this.bus.emit(Events.LOG_EVENT, { message: `${this.world.weather.emoji} The storm wrecked a nest — an egg was lost 🥚` });
+        }
+    }
+
+    // ── Transitions ──────────────────────────────
+
+    _pickNext() {
+        const next  = Object.entries(this.world.weather.next ?? {});
+        const total = next.reduce((sum, [, p]) => sum + p, 0);
+        let r = this.world.rng.next() * total;
+        for (const [name, p] of next) {
+            if ((r -= p) < 0) return name;
+        }
+        return this.state;
+    }
+
+    _change(name) {
+        const from = this.state;
+        this._begin(name);
+        if (name !== from) {
+            this.bus.emit(Events.WEATHER_CHANGED, { from, to: name, wind: (this.world.weather.wind ?? 0) * this.windDir });
+        }
+    }
+
+    _begin(name) {
+        const s = this.table[name];
+        const [min, max] = s.duration;
+        this.state         = name;
+        this.timer         = this.world.rng.range(min, max);
+        this.windDir       = this.world.rng.chance(0.5) ? 1 : -1;
+        this.world.weather = s;
+    }
+
+    // ── State (for save/replay) ──────────────────
+
+    snapshot() {
+        return { state: this.state, timer: this.timer, windDir: this.windDir };
+    }
+
+    restore(s) {
+        this.state         = s.state;
+        this.timer         = s.timer;
+        this.windDir       = s.windDir;
+        this.world.weather = this.table[s.state];
+    }
+}
@@ -1,28 +1,78 @@
 // engine/World.js
-// World geometry, simulation time, and day/night cycle.
+// World geometry, depth zones, ocean currents, the pollution field, simulation
+// time, the year of seasons, day/night cycle, the seeded RNG and the scheduler.
+// The world has fixed logical dimensions, independent of the window —
+// engine/Camera.js maps them onto the screen.
 // Systems query this instead of touching the DOM directly.
 
+import { Currents }  from './Currents.js';
+import { PollutionField } from './PollutionField.js';
+import { Random }    from './Random.js';
+import { Scheduler } from './Scheduler.js';
+
+// Used when the game hands in no zone table: sky over one open ocean
+const DEFAULT_ZONES = [
+    { name: 'sky',   top: 0.00, water: false, light: 1, pressure: 1, temperature: 18 },
+    { name: 'ocean', top: 0.40, water: true,  light: 1, pressure: 1, temperature: 15 },
+];
+
+const FLOOR_MARGIN = 50;    // px kept clear above the bottom edge
+const NIGHT_LIGHT  = 0.1;   // fraction of daylight left at night
+
 export class World {
-    constructor(config) {
-        this.oceanFraction    = 0.40;          // ocean surface = 40% down screen
+    /**
+     * @param {object} config
+     * @param {object} [opts]
+     * @param {number} [opts.width]   world width in logical px (falls back to config.WORLD_WIDTH)
+     * @param {number} [opts.height]  world height (falls back to config.WORLD_HEIGHT)
+     * @param {number} [opts.seed]    RNG seed (falls back to config.SEED, then random)
+     * @param {object[]} [opts.zones] depth zones, top to bottom: { name, top (fraction of
+     *                                height), water, light, pressure, temperature }
+     * @param {object[]} [opts.seasons] the year in order: { name, temperature, daylight, … }
+     *                                  — none = no seasons, every day the same
+     */
+    constructor(config, { width = null, height = null, seed = null, zones = DEFAULT_ZONES, seasons = [] } = {}) {
+        this.width            = width  ?? config.WORLD_WIDTH  ?? 1920;
+        this.height           = height ?? config.WORLD_HEIGHT ?? 1200;
+
+        // Zones in px; each ends where the next begins
+        this.zones            = zones.map((z, i) => ({
+            ...z,
+            top:    z.top * this.height,
+            bottom: (zones[i + 1]?.top ?? 1) * this.height,
+        }));
+        this._zoneByName      = new Map(this.zones.map(z => [z.name, z]));
+        this._bands           = new WeakMap();   // zone-name list → [{ top, bottom }]
+        this._oceanBands      = this.depthBands(this.zones.filter(z => z.water !== false).map(z => z.name));
+        this._ocean           = this._oceanBands[0];
+        this.oceanFraction    = this._ocean.top / this.height;   // ocean surface = top of the first water zone
+        this.seasons          = seasons;
+        this.seasonLength     = config.SEASON_LENGTH ?? 180;     // seconds per season
         this.isNight          = false;
         this.dayNightCycle    = 0;
         this.dayNightDuration = config.DAY_NIGHT_DURATION ?? 60; // seconds per phase
         this.time             = 0;
         this.frameCount       = 0;
         this.isPaused         = false;
-        this._container       = null;
-    }
+        this.weather          = null;          // current weather row, published by WeatherSystem
 
-    /** Must be called once the DOM is ready. */
-    init(containerEl) {
-        this._container = containerEl;
+        // Every simulation decision draws from this — see engine/Random.js
+        this.rng              = new Random(seed ?? config.SEED ?? Random.randomSeed());
+
+        // Delayed effects (egg laying, births, hatching…) — advanced by Engine
+        this.scheduler        = new Scheduler();
+
+        // Flow field over the ocean, a function of this.time — see engine/Currents.js
+        this.currents         = new Currents(this, { strength: config.CURRENT_STRENGTH ?? 12 });
+
+        // Pollution concentration over the ocean — see engine/PollutionField.js
+        this.pollution        = new PollutionField(this, { cell: config.POLLUTION_CELL ?? 60 });
     }
 
+    get seed() { return this.rng.seed; }
+
     // ── Geometry ──────────────────────────────────
 
-    get width()    { return this._container?.clientWidth  ?? 800; }
-    get height()   { return this._container?.clientHeight ?? 600; }
     get oceanTop() { return this.height * this.oceanFraction; }
 
     isInOcean(y)   { return y >= this.oceanTop; }
@@ -35,15 +85,136 @@ export class World {
         return Math.max(this.oceanTop, Math.min(y, this.height - margin));
     }
 
-    randomOceanX(margin = 50)  { return Math.random() * (this.width  - margin); }
+    randomOceanX(margin = 50)  { return this.rng.next() * (this.width  - margin); }
     randomOceanY(depthFraction = 0.3) {
-        return this.oceanTop + Math.random() * this.height * depthFraction;
+        return this.oceanTop + this.rng.next() * this.height * depthFraction;
+    }
+
+    // ── Depth zones ───────────────────────────────
+
+    zone(name) {
+        const z = this._zoneByName.get(name);
+        if (!z) throw new Error(`World: unknown depth zone "${name}"`);
+        return z;
+    }
+
+    /** The zone containing y (the top or bottom zone when y is outside the world). */
+    zoneAt(y) {
+        for (let i = this.zones.length - 1; i > 0; i--)
+            if (y >= this.zones[i].top) return this.zones[i];
+        return this.zones[0];
+    }
+
+    /** Daylight reaching y, 0–1: the zone's light, dimmed at night and by cloud. */
+    lightAt(y) {
+        return this.zoneAt(y).light * (this.isNight ? NIGHT_LIGHT : 1) * (this.weather?.light ?? 1);
+    }
+
+    /**
+     * The named zones as { top, bottom } intervals in px, top down: adjacent
+     * zones join up, zones with a gap between them stay apart. The floor
+     * margin is kept clear. No names = the whole ocean. Cached per array, so
+     * pass the same array (e.g. a species' preferredZones) every time.
+     */
+    depthBands(names) {
+        if (!names?.length) return this._oceanBands;
+        let bands = this._bands.get(names);
+        if (!bands) {
+            bands = [];
+            const zones = names.map(n => this.zone(n)).sort((a, b) => a.top - b.top);
+            for (const z of zones) {
+                const last = bands[bands.length - 1];
+                if (last && z.top <= last.bottom) last.bottom = Math.max(last.bottom, z.bottom);
+                else bands.push({ top: z.top, bottom: z.bottom });
+            }
+            for (const b of bands) b.bottom = Math.min(b.bottom, this.height - FLOOR_MARGIN);
+            this._bands.set(names, bands);
+        }
+        return bands;
+    }
+
+    /**
+     * The one { top, bottom } interval the named zones span.
+     * @throws if the zones are not contiguous — use depthBands()/depthBandNear()
+     */
+    depthBand(names) {
+        const bands = this.depthBands(names);
+        if (bands.length > 1) throw new Error(`World: depth zones "${names.join(', ')}" are not contiguous`);
+        return bands[0];
+    }
+
+    /** The interval of the named zones that contains y, or else the nearest one. */
+    depthBandNear(names, y) {
+        const bands = this.depthBands(names);
+        let best = bands[0], bestGap = Infinity;
+        for (const b of bands) {
+            const gap = y < b.top ? b.top - y : y > b.bottom ? y - b.bottom : 0;
+            if (gap < bestGap) { best = b; bestGap = gap; }
+        }
+        return best;
+    }
+
+    /** A depth in the named zones, each interval as likely as its height. */
+    randomDepthY(names) {
+        const bands = this.depthBands(names);
+        let r = this.rng.next() * bands.reduce((sum, b) => sum + b.bottom - b.top, 0);
+        for (const b of bands) {
+            if (r <= b.bottom - b.top) return b.top + r;
+            r -= b.bottom - b.top;
+        }
+        return bands.at(-1).bottom;
+    }
+
+    // ── Seasons ───────────────────────────────────
+
+    get yearLength() { return this.seasonLength * this.seasons.length; }
+
+    /** Completed years since the start. */
+    get year() { return this.yearLength ? Math.floor(this.time / this.yearLength) : 0; }
+
+    /** 0–1 through the current year. */
+    get yearProgress() { return this.yearLength ? (this.time % this.yearLength) / this.yearLength : 0; }
+
+    /** The current season's row, or null without seasons. */
+    get season() {
+        return this.seasons[Math.floor(this.yearProgress * this.seasons.length)] ?? null;
+    }
+
+    /**
+     * A numeric season field at the current moment, eased from one season's
+     * midpoint to the next so it never jumps. `fallback` stands in for
+     * seasons that leave the field out, and is the answer without seasons.
+     */
+    seasonal(key, fallback = 0) {
+        const n = this.seasons.length;
+        if (!n) return fallback;
+        const pos = this.yearProgress * n - 0.5;   // in seasons, from the first one's midpoint
+        const i   = Math.floor(pos);
+        const a   = this.seasons[(i + n) % n][key] ?? fallback;
+        const b   = this.seasons[(i + 1) % n][key] ?? fallback;
+        return a + (b - a) * (1 - Math.cos((pos - i) * Math.PI)) / 2;
+    }
+
+    /** Fraction of each day/night cycle that is day. */
+    get daylight() { return this.seasonal('daylight', 0.5); }
+
+    /** °C at y: the zone's own, shifted by the season as far down as sunlight reaches. */
+    temperatureAt(y) {
+        const z = this.zoneAt(y);
+        return z.temperature + this.seasonal('temperature', 0) * z.light;
+    }
+
+    /** Whether a species may breed now — always, unless it lists breedingSeasons. */
+    isBreedingSeason(speciesDef) {
+        const seasons = speciesDef?.breedingSeasons;
+        return !seasons || !this.season || seasons.includes(this.season.name);
     }
 
     // ── Time ──────────────────────────────────────
 
     /**
      * Advance simulation time. Returns true when day/night phase flips.
+     * Days and nights share 2 × dayNightDuration by the season's daylight.
      * Called by Engine.loop() before systems run.
      */
     tick(dt) {
@@ -51,11 +222,36 @@ export class World {
         this.time       += dt;
         this.frameCount += 1;
         this.dayNightCycle += dt;
-        if (this.dayNightCycle >= this.dayNightDuration) {
+        const phase = 2 * this.dayNightDuration * (this.isNight ? 1 - this.daylight : this.daylight);
+        if (this.dayNightCycle >= phase) {
             this.dayNightCycle = 0;
             this.isNight = !this.isNight;
             return true;
         }
         return false;
     }
+
+    // ── State (for save/replay) ───────────────────
+
+    snapshot() {
+        return {
+            time:          this.time,
+            frameCount:    this.frameCount,
+            dayNightCycle: this.dayNightCycle,
+            isNight:       this.isNight,
+            rng:           this.rng.state,
+            scheduler:     this.scheduler.snapshot(),
+            pollution:     this.pollution.snapshot(),
+        };
+    }
+
+    restore(s) {
+        this.time          = s.time;
+        this.frameCount    = s.frameCount;
+        this.dayNightCycle = s.dayNightCycle;
+        this.isNight       = s.isNight;
+        this.rng.state     = s.rng;
+        this.scheduler.restore(s.scheduler);
+        this.pollution.restore(s.pollution);
+    }
 }
@@ -0,0 +1,30 @@
+// game/Actions.js
+// Every user action that changes the simulation, by name. Arguments are plain
+// JSON values so engine/Replay.js can log them and play them back — in the
+// browser or headless. Presentation-only actions (pause, speed, panels) and
+// the UFO, which needs the DOM, are added by main.js.
+
+import { SPECIES } from './SpeciesRegistry.js';
+
+/** @param {{ engine, spawners, weather }} sim  from createSimulation() */
+export function createActions({ engine, spawners, weather }) {
+    return {
+        addBird:          (key)  => spawners.addBird(key ? SPECIES.birds[key] : undefined),
+        addFish:          (id)   => {
+            const def = Object.values(SPECIES.fish).find(s => s.id === id) ?? SPECIES.fish.SALMON;
+            return spawners.addFish(def);
+        },
+        addFood:          ()     => spawners.addFood(),
+        addFoodAt:        (x, y) => spawners.addFoodAt(x, y),
+        addOctopus:       ()     => spawners.addOctopus(),
+        addSeaCreature:   ()     => spawners.addSeaCreature(),
+        addPredator:      ()     => spawners.addPredator(),
+        addIsland:        ()     => spawners.addIsland(),
+        addElixir:        ()     => spawners.addElixir(),
+        addKelp:          ()     => spawners.addKelp(),
+        addAlgae:         (type) => spawners.addAlgae(type),
+        setWeather:       (name) => weather.set(name),
+        // Experiments from the console, e.g. setSystemEnabled('reproduction', false)
+        setSystemEnabled: (name, enabled) => engine.setEnabled(name, enabled),
+    };
+}
@@ -0,0 +1,78 @@
+// game/CameraControls.js
+// Mouse and touch input for engine/Camera.js on the game viewport:
+// wheel zooms around the cursor, dragging pans. A press that never moves
+// past DRAG_THRESHOLD is a click and goes to onClick in world coordinates;
+// the click that ends a drag is swallowed before entities see it.
+
+const DRAG_THRESHOLD = 4;       // screen px before a press becomes a pan
+const WHEEL_ZOOM     = 0.0015;  // zoom factor per wheel delta unit (exponential)
+
+export class CameraControls {
+    /**
+     * @param {Camera}      camera
+     * @param {HTMLElement} element           the viewport (#game-container)
+     * @param {object}      [handlers]
+     * @param {Function}    [handlers.onClick] (worldX, worldY, target) => void
+     */
+    constructor(camera, element, { onClick = () => {} } = {}) {
+        this.camera   = camera;
+        this.element  = element;
+        this.onClick  = onClick;
+        this._press   = null;    // { id, x, y } of the pointer that is down
+        this._dragged = false;   // the last press turned into a pan
+
+        element.addEventListener('wheel',       e => this._onWheel(e), { passive: false });
+        element.addEventListener('pointerdown', e => this._onDown(e));
+        element.addEventListener('pointermove', e => this._onMove(e));
+        element.addEventListener('pointerup',     () => { this._press = null; });
+        element.addEventListener('pointercancel', () => { this._press = null; });
+        // Capture phase: runs before entity handlers, so a drag never hatches an egg
+        element.addEventListener('click', e => this._onClick(e), { capture: true });
+    }
+
+    /** Screen px of a pointer event, relative to the viewport. */
+    _local(e) {
+        const r = this.element.getBoundingClientRect();
+        return { x: e.clientX - r.left, y: e.clientY - r.top };
+    }
+
+    _onWheel(e) {
+        e.preventDefault();
+        const { x, y } = this._local(e);
+        this.camera.zoomAt(Math.exp(-e.deltaY * WHEEL_ZOOM), x, y);
+    }
+
+    _onDown(e) {
+        if (e.button !== 0 || this._press) return;
+        this._press   = { id: e.pointerId, x: e.clientX, y: e.clientY };
+        this._dragged = false;
+    }
+
+    _onMove(e) {
+        const press = this._press;
+        if (!press || press.id !== e.pointerId) return;
+
+        const dx = e.clientX - press.x;
+        const dy = e.clientY - press.y;
+        if (!this._dragged) {
+            if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+            this._dragged = true;
+            this.element.setPointerCapture(e.pointerId);
+        }
+        this.camera.panBy(dx, dy);
+        press.x = e.clientX;
+        press.y = e.clientY;
+    }
+
+    _onClick(e) {
+        if (this._dragged) {
+            this._dragged = false;
+            e.stopPropagation();
+            e.preventDefault();
+            return;
+        }
+        const { x, y } = this._local(e);
+        const world    = this.camera.screenToWorld(x, y);
+        this.onClick(world.x, world.y, e.target);
+    }
+}
@@ -0,0 +1,96 @@
+// game/CurrentOverlay.js
+// Arrow overlay for world.currents: one arrow per grid point over the
+// ocean, its length and opacity following the local current speed. Drawn
+// on a canvas inside the render layer, so it pans and zooms with the world.
+// Frame-phase system; pure presentation, idle until toggled.
+
+const SPACING    = 80;    // world px between arrows
+const RESOLUTION = 0.5;   // canvas px per world px
+const REFRESH_MS = 250;
+
+export class CurrentOverlay {
+    /**
+     * @param {World}       world
+     * @param {HTMLElement} layer   RenderSystem.layer (world coordinates)
+     */
+    constructor(world, layer) {
+        this.world        = world;
+        this.layer        = layer;
+        this.phase        = 'frame';
+        this.visible      = false;
+        this.canvas       = null;   // created on first show
+        this._lastRefresh = 0;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        if (this.visible && !this.canvas) this._build();
+        if (this.canvas) this.canvas.style.display = this.visible ? 'block' : 'none';
+        if (this.visible) this.render();
+        return this.visible;
+    }
+
+    /** Engine hook on removeSystem/replaceSystem. */
+    dispose() {
+        this.canvas?.remove();
+        this.canvas  = null;
+        this.visible = false;
+    }
+
+    update(_dt, currentTime) {
+        if (!this.visible) return;
+        if (currentTime - this._lastRefresh < REFRESH_MS) return;
+        this._lastRefresh = currentTime;
+        this.render();
+    }
+
+    render() {
+        const { world, ctx } = this;
+        const currents = world.currents;
+        const v        = { x: 0, y: 0 };
+        const maxLen   = SPACING * 0.7;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(RESOLUTION, 0, 0, RESOLUTION, 0, 0);
+        ctx.lineWidth = 2 / RESOLUTION;
+        ctx.lineCap   = 'round';
+
+        for (let y = world.oceanTop + SPACING / 2; y < world.height; y += SPACING) {
+            for (let x = SPACING / 2; x < world.width; x += SPACING) {
+                currents.at(x, y, v);
+                const speed = Math.hypot(v.x, v.y);
+                if (speed < 0.05) continue;
+
+                const f   = Math.min(1, speed / (currents.strength || 1));
+                const len = maxLen * f;
+                const ux  = v.x / speed, uy = v.y / speed;
+                const tx  = x + ux * len / 2, ty = y + uy * len / 2;
+
+                ctx.strokeStyle = `rgba(212, 241, 244, ${0.25 + 0.6 * f})`;
+                ctx.beginPath();
+                ctx.moveTo(x - ux * len / 2, y - uy * len / 2);
+                ctx.lineTo(tx, ty);
+                // Head
+                ctx.moveTo(tx - ux * 10 - uy * 6, ty - uy * 10 + ux * 6);
+                ctx.lineTo(tx, ty);
+                ctx.lineTo(tx - ux * 10 + uy * 6, ty - uy * 10 - ux * 6);
+                ctx.stroke();
+            }
+        }
+    }
+
+    // ── DOM ──────────────────────────────────────
+
+    _build() {
+        const { width, height } = this.world;
+        this.canvas        = document.createElement('canvas');
+        this.canvas.width  = Math.round(width  * RESOLUTION);
+        this.canvas.height = Math.round(height * RESOLUTION);
+        this.canvas.className    = 'current-overlay';
+        this.canvas.style.cssText =
+            `position:absolute;left:0;top:0;width:${width}px;height:${height}px;pointer-events:none;`;
+        this.ctx = this.canvas.getContext('2d');
+        this.layer.prepend(this.canvas);   // beneath every entity
+    }
+}
@@ -0,0 +1,19 @@
+// game/DepthZones.js
+// The vertical layers of the world, top to bottom, handed to World at startup.
+// Each zone starts at `top` (a fraction of the world height) and ends where
+// the next one starts. Species pick zones by name in SpeciesRegistry
+// (preferredZones / toleratedZones).
+//
+//   water        false = above the surface; the first water zone is the ocean top
+//   light        fraction of surface daylight reaching the zone
+//   pressure     atmospheres
+//   temperature  °C
+
+export const DEPTH_ZONES = [
+    { name: 'sky',      top: 0.00, water: false, light: 1.00, pressure:   1, temperature: 18 },
+    { name: 'surface',  top: 0.40, water: true,  light: 1.00, pressure:   1, temperature: 20 },
+    { name: 'sunlit',   top: 0.46, water: true,  light: 0.60, pressure:   5, temperature: 16 },
+    { name: 'twilight', top: 0.62, water: true,  light: 0.15, pressure:  30, temperature:  8 },
+    { name: 'midnight', top: 0.76, water: true,  light: 0.00, pressure: 150, temperature:  4 },
+    { name: 'seabed',   top: 0.90, water: true,  light: 0.00, pressure: 300, temperature:  2 },
+];
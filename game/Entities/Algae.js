@@ -5,8 +5,8 @@
 import { BaseEntity } from './BaseEntity.js';
 
 export class AlgaeEntity extends BaseEntity {
-    constructor(id, x, y, speciesDef) {
-        super(id, x, y, speciesDef);
+    constructor(id, x, y, speciesDef, rng) {
+        super(id, x, y, speciesDef, rng);
         this.lifetime = speciesDef.maxAge; // PollutionSystem decrements this
     }
 
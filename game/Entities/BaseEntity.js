@@ -1,59 +1,44 @@
 // game/Entities/BaseEntity.js
-// Shared logic: aging, movement helpers, position sync.
+// Shared logic: aging, steering, feeding and health state, position sync.
 // Does NOT touch gameState, global arrays, or the DOM directly.
-// Rendering is handled by RenderSystem. Spawning via Spawners.
+// Rendering is handled by RenderSystem. Spawning via Spawners. Movement is
+// MovementSystem's: entities set a goal or threat (engine/Steering.js) and
+// it moves them.
+
+import { Random } from '../../engine/Random.js';
 
 export class BaseEntity {
-    constructor(id, x, y, speciesDef) {
+    /**
+     * @param {number} id
+     * @param {number} x
+     * @param {number} y
+     * @param {object} speciesDef  entry from SpeciesRegistry
+     * @param {Random} rng         world.rng — every random decision draws from it.
+     *                             Omitting it gives the entity a private unseeded stream.
+     */
+    constructor(id, x, y, speciesDef, rng = new Random()) {
+        this.rng         = rng;
         this.id          = id;
         this.x           = x;
         this.y           = y;
         this.speciesDef  = speciesDef;
         this.age         = 0;
         this.maxAge      = speciesDef.maxAge;
-        this.speed       = (speciesDef.speed || 0) + Math.random() * 0.2;
-        this.direction   = Math.random() * Math.PI * 2;
+        this.speed       = (speciesDef.speed || 0) + this.rng.next() * 0.2;
+        this.direction   = this.rng.next() * Math.PI * 2;   // heading, for facing and wander
+        this.vx          = 0;      // px/s — integrated by MovementSystem
+        this.vy          = 0;
+        this.wanderAngle = 0;
+        this.goal        = null;   // see engine/Steering.js
+        this.threat      = null;
+        this.prey        = null;   // what it is hunting — FeedingSystem
+        this.health      = 100;    // hit points — HealthSystem
+        this.sick        = 0;      // seconds of illness left
         this.element     = null;   // assigned by RenderSystem after createElement()
         this.dead        = false;  // set true to trigger removal via EntityManager
     }
 
-    // ── Movement helpers ──────────────────────────────────────────────────────
-
-    /**
-     * Move in current direction. Bounce off ocean walls.
-     * world provides width/height/oceanTop.
-     */
-    moveFreely(dt, world, speedMultiplier = 1) {
-        const spd = this.speed * dt * 25 * speedMultiplier;
-        this.x += Math.cos(this.direction) * spd;
-        this.y += Math.sin(this.direction) * spd;
-
-        if (this.x < 0 || this.x > world.width - 50)
-            this.direction = Math.PI - this.direction;
-        if (this.y < world.oceanTop || this.y > world.height - 50)
-            this.direction = -this.direction;
-    }
-
-    wander(probability = 0.02) {
-        if (Math.random() < probability)
-            this.direction += (Math.random() - 0.5) * Math.PI / 4;
-    }
-
-    /**
-     * Move toward a target {x, y}. Returns remaining distance.
-     */
-    moveTowards(target, dt, speedFactor = 1) {
-        const tx = target.x ?? 0, ty = target.y ?? 0;
-        const dx = tx - this.x, dy = ty - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist > 5) {
-            const spd = this.speed * dt * 50 * speedFactor;
-            this.x += (dx / dist) * spd;
-            this.y += (dy / dist) * spd;
-            this.direction = Math.atan2(dy, dx);
-        }
-        return dist;
-    }
+    // ── Geometry ──────────────────────────────────────────────────────────────
 
     distanceTo(obj) {
         if (!obj) return Infinity;
@@ -89,8 +74,6 @@ export class BaseEntity {
     /** Base tick. Subclasses should call super.update(dt) first. */
     update(dt, world, entities) {
         this.age += dt;
-        if (this.age >= this.maxAge) {
-            this.dead = true;
-        }
+        if (this.age >= this.maxAge) entities.kill(this, 'age');
     }
 }
@@ -3,10 +3,17 @@
 // Full AI state machine: hunger → breeding → socializing → energy → explore.
 // Flamingos use islandOnly mode: orbit the nearest island, skip all other AI.
 // Spawning children (eggs) is done via bus events caught by Spawners.
+// Each state sets a steering goal; MovementSystem does the moving. A hungry
+// bird goes 'hunting' and FeedingSystem picks its prey from the diet.
 
 import { BaseEntity }    from './BaseEntity.js';
 import { Events }        from '../../engine/EventBus.js';
 import { EntityManager } from '../../engine/EntityManager.js';
+import { setGoal, clearGoal } from '../../engine/Steering.js';
+
+const SWIM_SPEED  = 2.4;   // × cruising speed when swimming somewhere
+const STRUT_SPEED = 1.6;   // flamingos walking round their island
+const CLUTCH_REST = 150;   // s after laying before a bird breeds again — about one clutch a season
 
 const PERSONALITIES = ['Curious','Lazy','Social','Shy','Brave','Cautious','Energetic','Calm'];
 const COLORS = [
@@ -17,30 +24,30 @@ const COLORS = [
 ];
 
 export class BirdEntity extends BaseEntity {
-    constructor(id, x, y, speciesDef, parentColor = null) {
-        super(id, x, y, speciesDef);
-        this.hunger           = Math.random() * 50 + 25;
-        this.energy           = Math.random() * 50 + 50;
-        this.social           = Math.random() * 100;
-        this.personality      = PERSONALITIES[Math.floor(Math.random() * 8)];
+    constructor(id, x, y, speciesDef, rng, parentColor = null) {
+        super(id, x, y, speciesDef, rng);
+        this.hunger           = this.rng.next() * 50 + 25;
+        this.energy           = this.rng.next() * 50 + 50;
+        this.social           = this.rng.next() * 100;
+        this.personality      = PERSONALITIES[this.rng.int(8)];
         this.state            = 'idle';
         this.target           = null;
         this.isSwimming       = false;
         this.canBreed         = false;
         this.breedingCooldown = 0;
-        this.gender           = Math.random() < 0.5 ? 'M' : 'F';
-        this.color            = parentColor ?? COLORS[Math.floor(Math.random() * 8)];
+        this.gender           = this.rng.chance(0.5) ? 'M' : 'F';
+        this.color            = parentColor ?? COLORS[this.rng.int(8)];
         this.mealsEaten       = 0;
         this.fertility        = 0;
         this.onIsland         = false;
-        this.friends          = [];
+        this.friends          = [];    // EntityRefs — dead friends resolve to null
         this.thinkingTimer    = 0;
         this.lastDecisionTime = 0;
         this.hasNest          = false;
         this._nestBuildTimer  = 0;
         // Flamingo orbit state
         this._islandTarget    = null;
-        this._orbitAngle      = Math.random() * Math.PI * 2;
+        this._orbitAngle      = this.rng.next() * Math.PI * 2;
     }
 
     // ── DOM ───────────────────────────────────────────────────────────────────
@@ -67,6 +74,7 @@ export class BirdEntity extends BaseEntity {
             <div class="duck-stats">
                 <div><strong>${this.personality}</strong> ${this.color.name} ${this.gender === 'M' ? '♂️' : '♀️'} #${this.id} <em style="opacity:.7">${this.speciesDef.name}</em></div>
                 <div style="margin-top:4px;font-size:9px;">Age:<span class="duck-age">0</span>s | Fertility:<span class="duck-fertility">0</span>%</div>
+                <div>Health:<div class="stat-bar"><div class="stat-fill stat-health" style="width:${this.health}%"></div></div></div>
                 <div>Hunger:<div class="stat-bar"><div class="stat-fill stat-hunger" style="width:${this.hunger}%"></div></div></div>
                 <div>Energy:<div class="stat-bar"><div class="stat-fill stat-energy" style="width:${this.energy}%"></div></div></div>
                 <div>Social:<div class="stat-bar"><div class="stat-fill stat-social" style="width:${this.social}%"></div></div></div>
@@ -78,6 +86,7 @@ export class BirdEntity extends BaseEntity {
     syncToDOM(el) {
         const body = el.querySelector('.duck-body');
         if (body) {
+            body.style.transform = Math.cos(this.direction) < 0 ? 'scaleX(-1)' : 'scaleX(1)';
             const isDuckling = this.age < 10 || this.speciesDef.isBaby;
             if (!this.speciesDef.islandOnly) {
                 body.textContent    = isDuckling ? '🐥' : this.speciesDef.emoji;
@@ -90,8 +99,10 @@ export class BirdEntity extends BaseEntity {
                 : `drop-shadow(0 0 8px ${this.color.hex})`;
         }
         const q = s => el.querySelector(s);
+        const lB = q('.stat-health');
         const hB = q('.stat-hunger'), eB = q('.stat-energy'), sB = q('.stat-social');
         const aE = q('.duck-age'),    fE = q('.duck-fertility');
+        if (lB) lB.style.width = this.health   + '%';
         if (hB) hB.style.width = this.hunger   + '%';
         if (eB) eB.style.width = this.energy   + '%';
         if (sB) sB.style.width = this.social   + '%';
@@ -101,6 +112,7 @@ export class BirdEntity extends BaseEntity {
         el.classList.toggle('swimming',  this.isSwimming);
         el.classList.toggle('breeding',  this.state === 'breeding');
         el.classList.toggle('nesting',   this.state === 'building-nest');
+        el.classList.toggle('sick',      this.sick > 0);
         if (this.age > this.maxAge * 0.8) el.classList.add('old');
     }
 
@@ -117,11 +129,13 @@ export class BirdEntity extends BaseEntity {
         this.age += dt;
         if (this.age >= this.maxAge) {
             bus.emit(Events.LOG_EVENT, { message: `${this.speciesDef.name} #${this.id} died of old age 💀` });
-            this.dead = true;
+            entities.kill(this, 'age');
             return;
         }
 
-        if (this.age >= 10 && !this.canBreed && !this.hasNest && this._nestBuildTimer === 0) {
+        // Nesting starts only in the species' breeding season (spring for most)
+        if (this.age >= 10 && !this.canBreed && !this.hasNest && this._nestBuildTimer === 0 &&
+            world.isBreedingSeason(this.speciesDef)) {
             if (this.speciesDef.islandOnly) {
                 // Flamingos skip nest-building
                 this.hasNest  = true;
@@ -160,23 +174,26 @@ export class BirdEntity extends BaseEntity {
         }
 
         if (this.speciesDef.islandOnly) {
-            this._flamingoWalk(dt, entities);
+            this._flamingoWalk(dt, world, entities);
         } else {
-            this._think(entities, bus, config);
+            this._think(entities, bus, config, world);
             this._executeBehaviour(dt, world, entities, bus);
         }
     }
 
     // ── Flamingo ──────────────────────────────────────────────────────────────
 
-    _flamingoWalk(dt, entities) {
+    _flamingoWalk(dt, world, entities) {
         if (!this._islandTarget || !entities.islands.includes(this._islandTarget)) {
             this._islandTarget = entities.islands.length > 0
-                ? entities.islands[Math.floor(Math.random() * entities.islands.length)]
+                ? entities.islands[this.rng.int(entities.islands.length)]
                 : null;
-            this._orbitAngle = Math.random() * Math.PI * 2;
+            this._orbitAngle = this.rng.next() * Math.PI * 2;
+        }
+        if (!this._islandTarget) {
+            setGoal(this, 'halt');
+            return;
         }
-        if (!this._islandTarget) return;
 
         const island = this._islandTarget;
         const off    = island.size === 'small' ? 45 : island.size === 'medium' ? 70 : 90;
@@ -184,30 +201,24 @@ export class BirdEntity extends BaseEntity {
         const cx = island.x + off, cy = island.y + off;
 
         this._orbitAngle += dt * 0.4;
-        const tx = cx + Math.cos(this._orbitAngle) * radius;
-        const ty = cy + Math.sin(this._orbitAngle) * radius;
-        const dx = tx - this.x, dy = ty - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist > 5) {
-            const spd = this.speed * dt * 40;
-            this.x += (dx / dist) * spd;
-            this.y += (dy / dist) * spd;
-            const body = this.element?.querySelector('.duck-body');
-            if (body) body.style.transform = dx < 0 ? 'scaleX(-1)' : 'scaleX(1)';
-        }
+        setGoal(this, 'arrive', {
+            x: cx + Math.cos(this._orbitAngle) * radius,
+            y: cy + Math.sin(this._orbitAngle) * radius,
+        }, STRUT_SPEED);
     }
 
     // ── AI ────────────────────────────────────────────────────────────────────
 
-    _think(entities, bus, config) {
-        const now = Date.now();
+    _think(entities, bus, config, world) {
+        const now = world.scheduler.time * 1000; // simulation ms — pauses with the game
         if (now - this.lastDecisionTime < (config?.THINK_COOLDOWN ?? 3000)) return;
         this.lastDecisionTime = now;
 
+        const inSeason = world.isBreedingSeason(this.speciesDef);
+
         // Priority 1: lay eggs on island
-        if (this.canBreed && this.breedingCooldown <= 0 &&
-            this.hunger > 80 && this.energy > 60 && this.fertility > 70) {
+        if (inSeason && this.canBreed && this.breedingCooldown <= 0 &&
+            this.hunger > 60 && this.energy > 60 && this.fertility > 70) {
             const island = EntityManager.findNearest(this.x, this.y, entities.islands);
             if (island && !this.onIsland) {
                 this.target = { type: 'island', obj: island };
@@ -218,7 +229,7 @@ export class BirdEntity extends BaseEntity {
         }
 
         // Priority 2: find mate
-        if (this.canBreed && this.breedingCooldown <= 0 &&
+        if (inSeason && this.canBreed && this.breedingCooldown <= 0 &&
             this.hunger > 60 && this.energy > 50) {
             const mate = this._findMate(entities);
             if (mate) {
@@ -232,21 +243,13 @@ export class BirdEntity extends BaseEntity {
         // Priority 3: urgent needs
         const need = this._urgentNeed();
         if (need === 'hunger') {
-            const nearFood = EntityManager.findNearest(this.x, this.y, entities.food);
-            const nearFish = EntityManager.findNearest(this.x, this.y, entities.fish);
-            if (nearFish && this.personality !== 'Lazy' &&
-                (!nearFood || this.distanceTo(nearFish) < this.distanceTo(nearFood))) {
-                this.target = { type: 'fish', obj: nearFish };
-                this.state  = 'seeking-fish';
-                this.showThought('Hunting fish! 🎣');
-            } else if (nearFood) {
-                this.target = { type: 'food', obj: nearFood };
-                this.state  = 'seeking-food';
-                this.showThought('Looking for shrimp... 🦐');
-            }
+            if (this.state !== 'hunting') this.showThought('Looking for food... 🦐');
+            this.target = null;
+            this.state  = 'hunting';
         } else if (need === 'social') {
-            const buddy = EntityManager.findNearest(this.x, this.y,
-                entities.ducks.filter(d => d !== this));
+            const [buddy] = entities.query({
+                pools: 'ducks', near: this, where: d => d !== this, sortBy: 'distance', limit: 1,
+            });
             if (buddy) {
                 this.target = { type: 'duck', obj: buddy };
                 this.state  = 'socializing';
@@ -256,7 +259,7 @@ export class BirdEntity extends BaseEntity {
             this.state = 'resting';
             this.showThought('Taking a nap... 💤');
         } else {
-            this._explore();
+            this._explore(world);
         }
     }
 
@@ -266,7 +269,7 @@ export class BirdEntity extends BaseEntity {
                 d !== this &&
                 d.canBreed &&
                 d.breedingCooldown <= 0 &&
-                d.hunger > 75 &&
+                d.hunger > 60 &&
                 d.energy > 50 &&
                 d.gender !== this.gender &&
                 d.speciesDef?.id === this.speciesDef?.id &&
@@ -290,16 +293,17 @@ export class BirdEntity extends BaseEntity {
         return max < 40 ? 'none' : Object.keys(n).find(k => n[k] === max);
     }
 
-    _explore() {
-        if (Math.random() < 0.3) {
-            const c  = this.element?.parentElement ?? document.getElementById('game-container');
+    _explore(world) {
+        if (!world) return;
+        if (this.rng.chance(0.3)) {
+            const h = world.height;
             const isDuckling = this.age < 10;
             const ty = isDuckling
-                ? c.clientHeight * 0.35 + Math.random() * c.clientHeight * 0.15
-                : c.clientHeight * 0.10 + Math.random() * c.clientHeight * 0.40;
-            this.target = { type: 'position', x: Math.random() * (c.clientWidth - 100), y: ty };
+                ? h * 0.35 + this.rng.next() * h * 0.15
+                : h * 0.10 + this.rng.next() * h * 0.40;
+            this.target = { type: 'position', x: this.rng.next() * (world.width - 100), y: ty };
             this.state  = 'exploring';
-            this.showThought(['What\'s over there? 🔍', 'Time to explore! 🗺️', 'I wonder...'][Math.floor(Math.random() * 3)]);
+            this.showThought(['What\'s over there? 🔍', 'Time to explore! 🗺️', 'I wonder...'][this.rng.int(3)]);
         }
     }
 
@@ -310,48 +314,44 @@ export class BirdEntity extends BaseEntity {
         this.isSwimming = false;
 
         switch (this.state) {
-            case 'seeking-food':
-                this.isSwimming = true;
-                this._moveToTarget(dt);
-                if (this.target && this.distanceTo(this.target.obj) < 30)
-                    this._eatFood(this.target.obj, entities, bus);
-                break;
-            case 'seeking-fish':
+            case 'hunting':
+                // FeedingSystem steers it after its prey; until it has one, it
+                // wanders looking for some
                 this.isSwimming = true;
-                this._moveToTarget(dt * 1.3);
-                if (this.target && this.distanceTo(this.target.obj) < 40)
-                    this._catchFish(this.target.obj, entities, bus);
+                if (!this.prey) clearGoal(this);
                 break;
             case 'socializing':
                 this.isSwimming = true;
-                this._moveToTarget(dt);
+                this._steerToTarget('arrive');
                 if (this.target && this.distanceTo(this.target.obj) < 50)
-                    this._socialize(this.target.obj);
+                    this._socialize(this.target.obj, world, entities);
                 break;
             case 'breeding':
                 this.isSwimming = true;
-                this._moveToTarget(dt);
+                this._steerToTarget('arrive');
                 if (this.target && this.distanceTo(this.target.obj) < 50)
-                    this._breed(this.target.obj, entities, bus);
+                    this._breed(this.target.obj, world, entities, bus);
                 break;
             case 'seeking-island':
                 this.isSwimming = true;
-                this._moveToTarget(dt);
-                if (this.target && this.distanceTo(this.target.obj) < 60)
-                    this._layEggsOnIsland(this.target.obj, bus);
+                this._steerToTarget('arrive');
+                if (this.target && !this.onIsland && this.distanceTo(this.target.obj) < 60)
+                    this._layEggsOnIsland(this.target.obj, world, bus);
                 break;
             case 'building-nest':
                 // Stand still, play nesting animation; _nestBuildTimer handles the actual countdown
+                setGoal(this, 'halt');
                 this.element?.classList.add('nesting');
                 break;
             case 'resting':
+                setGoal(this, 'halt');
                 this.element?.classList.remove('nesting');
                 this.energy = Math.min(100, this.energy + dt * 3);
                 if (this.energy > 80) { this.state = 'idle'; this.showThought('Feeling refreshed! ✨'); }
                 break;
             case 'exploring':
                 this.isSwimming = true;
-                this._moveToTarget(dt);
+                this._steerToTarget('arrive');
                 if (this.target &&
                     Math.abs(this.x - this.target.x) < 10 &&
                     Math.abs(this.y - this.target.y) < 10) {
@@ -359,72 +359,55 @@ export class BirdEntity extends BaseEntity {
                 }
                 break;
             default:
-                if (Math.random() < 0.005) {
-                    this.isSwimming = true;
-                    this.wander(0.05);
-                    this.moveFreely(dt, world, 0.5);
-                }
+                setGoal(this, 'halt');   // bob in place
         }
     }
 
-    _moveToTarget(dt) {
-        if (!this.target) return;
-        const tx = this.target.x ?? this.target.obj?.x ?? 0;
-        const ty = this.target.y ?? this.target.obj?.y ?? 0;
-        const dx = tx - this.x, dy = ty - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist > 5) {
-            const spd = this.speed * dt * 60;
-            this.x += (dx / dist) * spd;
-            this.y += (dy / dist) * spd;
-            const body = this.element?.querySelector('.duck-body');
-            if (body) body.style.transform = dx < 0 ? 'scaleX(-1)' : 'scaleX(1)';
-        }
+    /** Steer for this.target — an entity ({ obj }) or a point ({ x, y }). */
+    _steerToTarget(mode, speed = SWIM_SPEED) {
+        if (!this.target) return setGoal(this, 'halt');
+        setGoal(this, mode, this.target.obj ?? this.target, speed);
     }
 
-    // ── Actions ───────────────────────────────────────────────────────────────
+    // ── Feeding (FeedingSystem hooks) ─────────────────────────────────────────
 
-    _eatFood(food, entities, bus) {
-        this.element?.classList.add('eating');
-        setTimeout(() => this.element?.classList.remove('eating'), 600);
-        this.hunger = Math.min(100, this.hunger + 35);
-        this.energy = Math.min(100, this.energy + 10);
-        this.mealsEaten++;
-        this.fertility = Math.min(100, this.fertility + 15);
-        this.showThought('Yummy shrimp! 😋');
-        bus.emit(Events.FOOD_EATEN, { food });
-        entities.queueRemove(food);
-        this.target = null; this.state = 'idle';
+    wantsToEat() {
+        return this.state === 'hunting';
+    }
+
+    /** Lazy birds won't chase fish; they stick to shrimp. */
+    willEat(prey) {
+        return this.personality !== 'Lazy' || prey.poolKey !== 'fish';
     }
 
-    _catchFish(fish, entities, bus) {
+    onEat(prey, nutrition, world) {
         this.element?.classList.add('eating');
-        setTimeout(() => this.element?.classList.remove('eating'), 600);
-        this.hunger = Math.min(100, this.hunger + 50);
-        this.energy = Math.min(100, this.energy + 15);
+        world.scheduler.after(0.6, () => this.element?.classList.remove('eating'));
+        this.energy    = Math.min(100, this.energy + nutrition * 0.3);
+        this.fertility = Math.min(100, this.fertility + nutrition * 0.5);
         this.mealsEaten++;
-        this.fertility = Math.min(100, this.fertility + 25);
-        this.showThought('Caught a fish! 🎣');
-        bus.emit(Events.FISH_EATEN, { fish });
-        entities.queueRemove(fish);
+        this.showThought(prey.poolKey === 'fish' ? 'Caught a fish! 🎣' : 'Yummy shrimp! 😋');
         this.target = null; this.state = 'idle';
     }
 
-    _socialize(other) {
+    // ── Actions ───────────────────────────────────────────────────────────────
+
+    _socialize(other, world, entities) {
         this.element?.classList.add('meeting');
         other.element?.classList.add('meeting');
-        setTimeout(() => {
+        world.scheduler.after(1, () => {
             this.element?.classList.remove('meeting');
             other.element?.classList.remove('meeting');
-        }, 1000);
+        });
         this.social = Math.min(100, this.social + 15);
         other.social = Math.min(100, other.social + 15);
-        if (!this.friends.includes(other.id)) this.friends.push(other.id);
-        this.showThought(['Nice to meet you!', 'Quack quack! 🗣️', 'Great weather!', 'Let\'s be friends! 🤝'][Math.floor(Math.random() * 4)]);
+        this.friends = this.friends.filter(r => r.alive);
+        if (!this.friends.some(r => r.id === other.id)) this.friends.push(entities.ref(other));
+        this.showThought(['Nice to meet you!', 'Quack quack! 🗣️', 'Great weather!', 'Let\'s be friends! 🤝'][this.rng.int(4)]);
         this.target = null; this.state = 'idle';
     }
 
-    _breed(mate, entities, bus) {
+    _breed(mate, world, entities, bus) {
         if (
             !mate.canBreed ||
             mate.breedingCooldown > 0 ||
@@ -437,11 +420,12 @@ export class BirdEntity extends BaseEntity {
         }
 
         const female = this.gender === 'F' ? this : mate;
+        const male   = female === this ? mate : this;
         female.element?.classList.add('laying-egg');
-        setTimeout(() => female.element?.classList.remove('laying-egg'), 2000);
+        world.scheduler.after(2, () => female.element?.classList.remove('laying-egg'));
 
-        this.breedingCooldown = 30;
-        mate.breedingCooldown = 30;
+        this.breedingCooldown = CLUTCH_REST;
+        mate.breedingCooldown = CLUTCH_REST;
 
         this.showThought('💕 Love is in the air! 💕');
         mate.showThought('💕 Love is in the air! 💕');
@@ -450,53 +434,53 @@ export class BirdEntity extends BaseEntity {
         const numEggs = avgF > 75 ? 3 : avgF > 50 ? 2 : 1;
         const px = (this.x + mate.x) / 2;
         const py = (this.y + mate.y) / 2;
-        const parentColor = Math.random() < 0.5 ? this.color : mate.color;
+        const parentColor = this.rng.chance(0.5) ? this.color : mate.color;
         const parentSpeciesDef = female.speciesDef;
 
         for (let i = 0; i < numEggs; i++) {
-            setTimeout(() => {
+            world.scheduler.after(i * 0.3, () => {
                 bus.emit(Events.EGG_HATCHED, {
-                    x: px + (Math.random() - 0.5) * 40,
-                    y: py + (Math.random() - 0.5) * 40,
+                    x: px + this.rng.spread(40),
+                    y: py + this.rng.spread(40),
                     parentColor,
                     parentSpeciesDef,
                     create: true,
                 });
-            }, i * 300);
+            });
         }
 
         this.fertility = Math.max(0, this.fertility - 30);
         mate.fertility = Math.max(0, mate.fertility - 30);
 
         bus.emit(Events.LOG_EVENT, {
-            message: `${female.color.name} ${female.speciesDef.name} #${female.id} ♀️ & #${mate.id} ♂️ laid ${numEggs} egg(s)! 🥚`
+            message: `${female.color.name} ${female.speciesDef.name} #${female.id} ♀️ & #${male.id} ♂️ laid ${numEggs} egg(s)! 🥚`
         });
 
         this.target = null;
         this.state = 'idle';
     }
 
-    _layEggsOnIsland(island, bus) {
+    _layEggsOnIsland(island, world, bus) {
         this.onIsland = true;
         this.element?.classList.add('laying-egg');
-        setTimeout(() => this.element?.classList.remove('laying-egg'), 2000);
+        world.scheduler.after(2, () => this.element?.classList.remove('laying-egg'));
 
         const numEggs = Math.floor(this.fertility / 25) + 1;
         const off = island.size === 'small' ? 45 : island.size === 'medium' ? 70 : 90;
 
         for (let i = 0; i < numEggs; i++) {
-            setTimeout(() => {
+            world.scheduler.after(i * 0.4, () => {
                 bus.emit(Events.EGG_HATCHED, {
-                    x: island.x + off + (Math.random() - 0.5) * 60,
-                    y: island.y + off + (Math.random() - 0.5) * 40,
+                    x: island.x + off + this.rng.spread(60),
+                    y: island.y + off + this.rng.spread(40),
                     parentColor: this.color,
                     parentSpeciesDef: this.speciesDef,
                     create: true,
                 });
-            }, i * 400);
+            });
         }
 
-        this.breedingCooldown = 40;
+        this.breedingCooldown = CLUTCH_REST;
         this.fertility = Math.max(0, this.fertility - 50);
         this.showThought(`Laid ${numEggs} eggs! 🥚🏝️`);
 
@@ -504,17 +488,17 @@ export class BirdEntity extends BaseEntity {
             message: `${this.speciesDef.name} #${this.id} laid ${numEggs} egg(s) on Island #${island.id}!`
         });
 
-        setTimeout(() => {
+        world.scheduler.after(3, () => {
             this.onIsland = false;
             this.state = 'idle';
             this.target = null;
-        }, 3000);
+        });
     }
 
     // ── Thought bubbles ───────────────────────────────────────────────────────
 
     showThought(text) {
-        this.thinkingTimer = 3 + Math.random() * 2;
+        this.thinkingTimer = 3 + this.rng.next() * 2;
         const bubble = this.element?.querySelector('.duck-thinking');
         if (bubble) {
             bubble.textContent = text;
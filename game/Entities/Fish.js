@@ -1,6 +1,7 @@
 // game/Entities/Fish.js
 // Covers regular fish, crustaceans, shells, squid, and octopus.
-// Movement is handled here (wander + moveFreely).
+// They wander by default; MovementSystem steers them, FeedingSystem sends
+// them after food.
 // Reproduction pair-finding is handled by ReproductionSystem.
 // The octopus special behaviour (elixir-seeking, duck-tickling) lives here
 // because it needs direct access to entity state.
@@ -9,27 +10,14 @@
 import { BaseEntity }    from './BaseEntity.js';
 import { Events }        from '../../engine/EventBus.js';
 import { EntityManager } from '../../engine/EntityManager.js';
-
-// Pixels-per-second² gravity for falling crustaceans
-const GRAVITY = 300;
+import { setGoal, clearGoal } from '../../engine/Steering.js';
 
 export class FishEntity extends BaseEntity {
-    constructor(id, x, y, speciesDef) {
-        super(id, x, y, speciesDef);
-        this.hunger               = 50 + Math.random() * 50;
-        this.reproductionCooldown = 20 + Math.random() * 20;
+    constructor(id, x, y, speciesDef, rng) {
+        super(id, x, y, speciesDef, rng);
+        this.hunger               = 50 + this.rng.next() * 50;
+        this.reproductionCooldown = 20 + this.rng.next() * 20;
         this.tickleCooldown       = 0;  // octopus only
-
-        // ── Falling state (lobster / sky-drop creatures) ───────────────────
-        if (speciesDef.fallsFromSky) {
-            this._falling       = true;
-            this._velocityY     = 0;
-            this._hasEntered    = false;
-        } else {
-            this._falling       = false;
-            this._velocityY     = 0;
-            this._hasEntered    = true;
-        }
     }
 
     // ── DOM ───────────────────────────────────────────────────────────────────
@@ -56,17 +44,14 @@ export class FishEntity extends BaseEntity {
     update(dt, world, entities, bus) {
         if (world.isPaused) return;
 
-        // ── Falling phase (lobster etc.) ──────────────────────────────────
-        if (this._falling) {
-            this._updateFalling(dt, world, bus);
-            return; // skip normal AI/movement while airborne
-        }
+        // Sky-drop species (fallsFromSky) drop in through the Falling component
+        if (entities.components.has(this, 'Falling')) return;
 
         // ── Normal fish update ────────────────────────────────────────────
         this.age += dt;
         if (this.age >= this.maxAge) {
             bus.emit(Events.LOG_EVENT, { message: `${this.speciesDef.name} #${this.id} died of old age 💀` });
-            this.dead = true;
+            entities.kill(this, 'age');
             return;
         }
 
@@ -79,53 +64,22 @@ export class FishEntity extends BaseEntity {
 
         // Octopus special logic
         if (this.speciesDef.isOctopus) this._octopusBehaviour(dt, entities, bus);
-
-        // Eat algae / kelp
-        if (this.speciesDef.eatsAlgae && Math.random() < 0.03)
-            this._tryEatAlgae(entities);
-
-        // Autonomous movement
-        this.wander();
-        this.moveFreely(dt, world);
     }
 
-    // ── Falling physics ───────────────────────────────────────────────────────
-
-    _updateFalling(dt, world, bus) {
-        const waterSurface = world.height * 0.40; // same fraction used everywhere
-
-        // Apply gravity
-        this._velocityY += GRAVITY * dt;
-        this.y          += this._velocityY * dt;
-
-        // Sync DOM manually since RenderSystem only runs after update
-        if (this.element) {
-            this.element.style.top  = this.y + 'px';
-            this.element.style.left = this.x + 'px';
-        }
-
-        // Splash on water entry
-        if (!this._hasEntered && this.y >= waterSurface) {
-            this._hasEntered = true;
-            this._splash(bus);
-        }
-
-        // Land at water surface + a little depth
-        if (this.y >= waterSurface + 20) {
-            this.y          = waterSurface + 20;
-            this._falling   = false;
-            this._velocityY = 0;
-
-            // Give the entity a random swimming direction
-            this.direction = Math.random() * Math.PI * 2;
-
-            bus.emit(Events.LOG_EVENT, {
-                message: `${this.speciesDef.name} #${this.id} splashed into the water! 🦞💦`,
-            });
-        }
+    // ── Landing ───────────────────────────────────────────────────────────────
+
+    /** FallingSystem hook: in the water, with a random heading. */
+    onLanded(world, entities) {
+        this.direction = this.rng.next() * Math.PI * 2;
+        this.vx = this.vy = 0;
+        entities.joinGrid(this);
+        this._splash();
+        entities.bus.emit(Events.LOG_EVENT, {
+            message: `${this.speciesDef.name} #${this.id} splashed into the water! 🦞💦`,
+        });
     }
 
-    _splash(bus) {
+    _splash() {
         if (!this.element) return;
         const container = this.element.parentElement;
         if (!container) return;
@@ -149,31 +103,16 @@ export class FishEntity extends BaseEntity {
         }
     }
 
-    // ── Feeding ───────────────────────────────────────────────────────────────
-
-    _tryEatAlgae(entities) {
-        const all = [...entities.algae, ...entities.kelp];
-        for (const a of all) {
-            if (this.distanceTo(a) < 60) {
-                this.direction = Math.atan2(a.y - this.y, a.x - this.x);
-                if (this.distanceTo(a) < 30) {
-                    this.hunger = Math.min(100, this.hunger + 40);
-                    entities.queueRemove(a);
-                    break;
-                }
-            }
-        }
-    }
-
     // ── Octopus ───────────────────────────────────────────────────────────────
 
     _octopusBehaviour(dt, entities, bus) {
         // Seek elixirs
-        if (Math.random() < 0.03) {
+        if (this.rng.chance(0.03)) {
             for (const elixir of entities.elixirs) {
                 if (this.distanceTo(elixir) < 50) {
-                    this.direction = Math.atan2(elixir.y - this.y, elixir.x - this.x);
+                    setGoal(this, 'seek', elixir);
                     if (this.distanceTo(elixir) < 30) {
+                        clearGoal(this);
                         this._openElixir(elixir, entities, bus);
                         break;
                     }
@@ -181,7 +120,7 @@ export class FishEntity extends BaseEntity {
             }
         }
         // Tickle ducks
-        if (this.tickleCooldown <= 0 && Math.random() < 0.02) {
+        if (this.tickleCooldown <= 0 && this.rng.chance(0.02)) {
             for (const duck of entities.ducks) {
                 if (this.distanceTo(duck) < 60) {
                     duck.showThought?.('Hehe! That tickles! 😆');
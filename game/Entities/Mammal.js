@@ -1,25 +1,26 @@
 // game/Entities/Mammal.js
 // Island predators (cat/dog) + marine mammals (dolphin/whale/seal/otter).
-// Predator AI: hunt nearby ducks, patrol island, breed when fed.
-// Marine AI: roam freely, reproduce via ReproductionSystem.
+// Predator AI: patrol island, breed when fed.
+// Marine AI: roam freely (MovementSystem's wander), reproduce via ReproductionSystem.
+// Hunting is FeedingSystem's, by each species' diet — predators take birds.
 
 import { BaseEntity } from './BaseEntity.js';
 import { Events }     from '../../engine/EventBus.js';
-import { EntityManager } from '../../engine/EntityManager.js';
+import { setGoal }    from '../../engine/Steering.js';
 
 export class MammalEntity extends BaseEntity {
-    constructor(id, x, y, speciesDef, island = null) {
-        super(id, x, y, speciesDef);
+    constructor(id, x, y, speciesDef, rng, island = null) {
+        super(id, x, y, speciesDef, rng);
         this.island              = island;
-        this.hunger              = 50 + Math.random() * 30;
-        this.energy              = 80 + Math.random() * 20;
+        this.hunger              = 50 + this.rng.next() * 30;
+        this.energy              = 80 + this.rng.next() * 20;
         this.state               = 'idle';
         this.target              = null;
-        this.ducksEaten          = 0;
+        this.mealsEaten          = 0;
         this.breedingCooldown    = 90;
         this.canBreed            = false;
-        this.gender              = Math.random() < 0.5 ? 'M' : 'F';
-        this.reproductionCooldown = 30 + Math.random() * 20;
+        this.gender              = this.rng.chance(0.5) ? 'M' : 'F';
+        this.reproductionCooldown = 30 + this.rng.next() * 20;
         this.lastThinkTime       = 0;
     }
 
@@ -50,44 +51,35 @@ export class MammalEntity extends BaseEntity {
         this.age += dt;
         if (this.age >= this.maxAge) {
             bus.emit(Events.LOG_EVENT, { message: `${this.speciesDef.name} #${this.id} died of old age 💀` });
-            this.dead = true;
+            entities.kill(this, 'age');
             return;
         }
 
         this.hunger = Math.max(0, this.hunger - dt * (this.speciesDef.isPredator ? 1.2 : 0.5));
-        this.energy = Math.max(0, this.energy - dt * 0.4);
+        // Chasing tires it out; the rest of the time it gets its breath back
+        this.energy = Math.max(0, Math.min(100, this.energy + dt * (this.prey ? -0.4 : 0.3)));
         this.reproductionCooldown = Math.max(0, this.reproductionCooldown - dt);
         if (this.breedingCooldown > 0) this.breedingCooldown -= dt;
-        if (this.ducksEaten > 0 && this.breedingCooldown <= 0 && !this.canBreed)
+        if (this.mealsEaten > 0 && this.breedingCooldown <= 0 && !this.canBreed)
             this.canBreed = true;
 
-        const now = Date.now();
+        const now = world.scheduler.time * 1000; // simulation ms — pauses with the game
         if (now - this.lastThinkTime > (config?.THINK_COOLDOWN ?? 3000)) {
             this.lastThinkTime = now;
-            this._think(entities, bus);
+            this._think(entities, bus, config, world);
         }
 
         if (this.speciesDef.isPredator)
-            this._executePredatorBehaviour(dt, entities, bus);
-        else
-            this._executeMarineBehaviour(dt, world);
+            this._executePredatorBehaviour(dt, world, entities, bus);
     }
 
     // ── Predator AI ───────────────────────────────────────────────────────────
 
-    _think(entities, bus) {
+    _think(entities, bus, config, world) {
         if (this.speciesDef.isPredator) {
-            if (this.hunger < 40 && this.state !== 'hunting') {
-                const duck = EntityManager.findNearest(this.x, this.y, entities.ducks, 300);
-                if (duck) {
-                    this.target = duck;
-                    this.state  = 'hunting';
-                    this.element?.classList.add('hunting');
-                }
-            }
             if (this.canBreed && this.breedingCooldown <= 0 && this.hunger > 50) {
                 const mate = this._findPredatorMate(entities);
-                if (mate) this._breedWithPredator(mate, entities, bus);
+                if (mate) this._breedWithPredator(mate, world, entities, bus);
             }
         }
         // Marine mammal reproduction handled by ReproductionSystem
@@ -105,64 +97,52 @@ export class MammalEntity extends BaseEntity {
         return null;
     }
 
-    _breedWithPredator(mate, entities, bus) {
+    _breedWithPredator(mate, world, entities, bus) {
         this.breedingCooldown = mate.breedingCooldown = 90;
         this.canBreed = mate.canBreed = false;
         const bx  = (this.x + mate.x) / 2;
         const by  = (this.y + mate.y) / 2;
-        const num = Math.floor(Math.random() * 2) + 1;
+        const num = this.rng.int(2) + 1;
         for (let i = 0; i < num; i++) {
-            setTimeout(() => {
+            world.scheduler.after(i * 0.3, () => {
                 if (!entities.canSpawn(this.speciesDef)) return;
                 const baby = new MammalEntity(
-                    entities.nextPredatorId++,
-                    bx + (Math.random() - 0.5) * 40,
-                    by + (Math.random() - 0.5) * 40,
-                    this.speciesDef, this.island,
+                    entities.nextId(),
+                    bx + this.rng.spread(40),
+                    by + this.rng.spread(40),
+                    this.speciesDef, this.rng, this.island,
                 );
                 entities.add(baby, 'predators');
-            }, i * 300);
+            });
         }
         bus.emit(Events.LOG_EVENT, { message: `${this.speciesDef.name} #${this.id} & #${mate.id} had ${num} offspring! 💕` });
     }
 
-    _executePredatorBehaviour(dt, entities, bus) {
-        if (this.state === 'hunting' && this.target) {
-            if (this.distanceTo(this.target) < 30) {
-                this._catchDuck(this.target, entities, bus);
-            } else {
-                this.moveTowards(this.target, dt);
-            }
-        } else {
-            if (this.island && Math.random() < 0.02) {
-                const off = this.island.size === 'small' ? 45 : this.island.size === 'medium' ? 70 : 90;
-                this.target = {
-                    x: this.island.x + off + (Math.random() - 0.5) * 60,
-                    y: this.island.y + off + (Math.random() - 0.5) * 60,
-                };
-            }
-            if (this.target) this.moveTowards(this.target, dt);
+    _executePredatorBehaviour(dt, world, entities, bus) {
+        // On the hunt, FeedingSystem does the steering
+        this.state = this.prey ? 'hunting' : 'idle';
+        this.element?.classList.toggle('hunting', !!this.prey);
+        if (this.prey) return;
+
+        if (this.island && this.rng.chance(0.02)) {
+            const off = this.island.size === 'small' ? 45 : this.island.size === 'medium' ? 70 : 90;
+            this.target = {
+                x: this.island.x + off + this.rng.spread(60),
+                y: this.island.y + off + this.rng.spread(60),
+            };
         }
+        setGoal(this, this.target ? 'arrive' : 'halt', this.target, 2);
     }
 
-    _catchDuck(duck, entities, bus) {
-        this.element?.classList.remove('hunting');
-        this.element?.classList.add('eating');
-        setTimeout(() => this.element?.classList.remove('eating'), 800);
-        this.hunger = Math.min(100, this.hunger + 60);
-        this.energy = Math.min(100, this.energy + 20);
-        this.ducksEaten++;
-        bus.emit(Events.LOG_EVENT, { message: `${this.speciesDef.name} #${this.id} caught ${duck.speciesDef.name} #${duck.id}! 🦆💔` });
-        bus.emit(Events.DUCK_EATEN, { duck });
-        entities.queueRemove(duck);
-        this.target = null;
-        this.state  = 'idle';
-    }
+    // ── Feeding (FeedingSystem hook) ──────────────────────────────────────────
 
-    // ── Marine AI ─────────────────────────────────────────────────────────────
+    onEat(prey, nutrition, world, bus) {
+        this.mealsEaten++;
+        this.energy = Math.min(100, this.energy + nutrition / 3);
+        if (!this.speciesDef.isPredator) return;
 
-    _executeMarineBehaviour(dt, world) {
-        this.wander();
-        this.moveFreely(dt, world);
+        this.element?.classList.add('eating');
+        world.scheduler.after(0.8, () => this.element?.classList.remove('eating'));
+        bus.emit(Events.LOG_EVENT, { message: `${this.speciesDef.name} #${this.id} caught ${prey.speciesDef.name} #${prey.id}! 🦆💔` });
     }
 }
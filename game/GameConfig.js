@@ -3,16 +3,30 @@
 
 export const CONFIG = {
     UPDATE_FPS:                    60,
+    FIXED_TIMESTEP:              true,   // every sim step gets dt = 1 / UPDATE_FPS
+    TIME_SCALE:                     1,   // 0.25× – 16×
+    SEED:                        null,   // RNG seed; null picks one per session
+    JOURNAL_CAPACITY:           20000,   // events kept by the EventJournal ring buffer
     THINK_COOLDOWN:              3000,   // ms between AI decision ticks
     SPATIAL_GRID_SIZE:            150,
     HUD_UPDATE_THROTTLE:          500,
     BIODIVERSITY_UPDATE_THROTTLE: 1000,
-    ALGAE_SPAWN_INTERVAL:           8,   // seconds between natural algae spawns
+    ALGAE_SPAWN_INTERVAL:           8,   // seconds between natural algae spawns (scaled by the season's algaeGrowth)
+    SHRIMP_SPAWN_INTERVAL:          5,   // … shrimp drifting in from the open sea (likewise)
+    FISH_SPAWN_INTERVAL:           20,   // … salmon (likewise)
+    PLANT_SPAWN_INTERVAL:          40,   // … kelp or seagrass taking root (likewise)
     PARTICLE_POOL_SIZE:            50,
     MAX_ISLANDS:                    8,
+    WORLD_WIDTH:                 1920,   // logical world size — the camera maps it to the window
+    WORLD_HEIGHT:                1200,
+    CURRENT_STRENGTH:              12,   // peak surface current, px/s (0 = still water)
+    POLLUTION_CELL:                60,   // px per cell of the pollution field
+    SEASON_LENGTH:                180,   // seconds per season — a 12-minute year
 };
 
-export const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+// navigator is absent under Node (headless runs)
+export const isMobile = typeof navigator !== 'undefined' &&
+    /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
 
 if (isMobile) {
     CONFIG.UPDATE_FPS     = 30;
@@ -1,5 +1,5 @@
 // game/GameUI.js
-// All HUD, event log, day/night, biodiversity, and performance display.
+// All HUD, event log, day/night, seasons, weather, biodiversity, and performance display.
 // Reads from EntityManager and World. Listens to EventBus for log events.
 // No game logic lives here — pure presentation.
 
@@ -12,6 +12,7 @@ export class GameUI {
         this.entities = entities;
         this.bus      = bus;
         this.config   = config;
+        this.phase    = 'frame'; // Engine runs this once per displayed frame
 
         this._lastHudUpdate          = 0;
         this._lastBiodiversityUpdate = 0;
@@ -20,12 +21,23 @@ export class GameUI {
         this._perfFrameCount         = 0;
         this._perfLastTime           = performance.now();
         this._perfFrameTime          = 0;
+        this.logMuted                = false;   // set while a replay fast-forwards
+
+        // Wire bus events (unsubscribers kept for dispose)
+        this._unsubs = [
+            bus.on(Events.LOG_EVENT,    ({ message }) => this.logEvent(message)),
+            bus.on(Events.HUD_REFRESH,  ()            => this.updateHUD(true)),
+            bus.on(Events.DAY_NIGHT_FLIP, ()          => this.updateDayNight()),
+            bus.on(Events.POLLUTION_CHANGED, ()       => this.updatePollutionIndicator()),
+            bus.on(Events.WEATHER_CHANGED, (e)        => this.updateWeather(e)),
+            bus.on(Events.SEASON_CHANGED, (e)         => this.updateSeason(e)),
+        ];
+    }
 
-        // Wire bus events
-        bus.on(Events.LOG_EVENT,    ({ message }) => this.logEvent(message));
-        bus.on(Events.HUD_REFRESH,  ()            => this.updateHUD(true));
-        bus.on(Events.DAY_NIGHT_FLIP, ()          => this.updateDayNight());
-        bus.on(Events.POLLUTION_CHANGED, ()       => this.updatePollutionIndicator());
+    /** Engine hook on removeSystem/replaceSystem. */
+    dispose() {
+        for (const off of this._unsubs) off();
+        this._unsubs = [];
     }
 
     // ── System update (called by Engine) ─────────────────────────────────────
@@ -59,14 +71,14 @@ export class GameUI {
     // ── HUD ──────────────────────────────────────────────────────────────────
 
     updateHUD(force = false) {
-        const e = this.entities;
-        this._setText('duck-count',      e.ducks.length);
-        this._setText('egg-count',       e.eggs.length);
-        this._setText('island-count',    e.islands.length);
-        this._setText('predator-count',  e.predators.length);
-        this._setText('fish-count',      e.fish.length);
-        this._setText('food-count',      e.food.length);
-        this._setText('creature-count',  e.seaCreatures.length);
+        const { pools } = this.entities.populationSnapshot();
+        this._setText('duck-count',      pools.ducks);
+        this._setText('egg-count',       pools.eggs);
+        this._setText('island-count',    pools.islands);
+        this._setText('predator-count',  pools.predators);
+        this._setText('fish-count',      pools.fish);
+        this._setText('food-count',      pools.food);
+        this._setText('creature-count',  pools.seaCreatures);
         const timeEl = document.getElementById('time-elapsed');
         if (timeEl) timeEl.textContent = Math.floor(this.world.time) + 's';
     }
@@ -74,20 +86,16 @@ export class GameUI {
     // ── Biodiversity ─────────────────────────────────────────────────────────
 
     updateBiodiversity() {
-        const speciesSet = new Set();
-        for (const arr of this.entities.allArrays)
-            for (const e of arr)
-                if (e.speciesDef) speciesSet.add(e.speciesDef.id);
+        const { pools, species } = this.entities.populationSnapshot();
 
-        const uniqueSpecies = speciesSet.size;
+        const uniqueSpecies = Object.keys(species).length;
         const maxSpecies    = Object.values(SPECIES)
             .reduce((s, g) => s + Object.keys(g).length, 0);
         const balance = Math.min(100, (uniqueSpecies / maxSpecies) * 100);
 
-        const totalAnimals = this.entities.ducks.length + this.entities.fish.length +
-            this.entities.food.length + this.entities.seaCreatures.length +
-            this.entities.octopi.length + this.entities.predators.length;
-        const predatorRatio   = totalAnimals > 0 ? this.entities.predators.length / totalAnimals : 0;
+        const totalAnimals = pools.ducks + pools.fish + pools.food +
+            pools.seaCreatures + pools.octopi + pools.predators;
+        const predatorRatio   = totalAnimals > 0 ? pools.predators / totalAnimals : 0;
         const predatorPenalty = predatorRatio > 0.2 ? (predatorRatio - 0.2) * 100 : 0;
 
         this.entities.biodiversity = Math.max(0, Math.min(100,
@@ -134,6 +142,37 @@ export class GameUI {
         }
     }
 
+    // ── Seasons ───────────────────────────────────────────────────────────────
+
+    /** Show world.season; with a SEASON_CHANGED payload, also log the change. */
+    updateSeason(change = null) {
+        const s = this.world.season;
+        if (!s) return;
+        const name = s.name[0].toUpperCase() + s.name.slice(1);
+        const body = document.body;
+        for (const c of [...body.classList]) if (c.startsWith('season-')) body.classList.remove(c);
+        body.classList.add(`season-${s.name}`);
+        this._setText('season-icon', s.emoji);
+        this._setText('season', `${name}, year ${this.world.year + 1}`);
+        if (change) this.logEvent(`${s.emoji} ${name} has arrived`);
+    }
+
+    // ── Weather ───────────────────────────────────────────────────────────────
+
+    /** Show world.weather; with a WEATHER_CHANGED payload, also log the change. */
+    updateWeather(change = null) {
+        const w = this.world.weather;
+        if (!w) return;
+        const body = document.body;
+        for (const c of [...body.classList]) if (c.startsWith('weather-')) body.classList.remove(c);
+        body.classList.add(`weather-${w.name.toLowerCase()}`);
+        // Rain slants with the wind: a storm (±20 px/s) leans it ~25°
+        body.style.setProperty('--rain-slant', `${Math.max(-25, Math.min(25, -(change?.wind ?? 0) * 1.2))}deg`);
+        this._setText('weather-icon', w.emoji);
+        this._setText('weather', w.name);
+        if (change) this.logEvent(`${w.emoji} ${w.message}`);
+    }
+
     // ── Stars ─────────────────────────────────────────────────────────────────
 
     createStars() {
@@ -152,6 +191,7 @@ export class GameUI {
     // ── Event log ─────────────────────────────────────────────────────────────
 
     logEvent(message) {
+        if (this.logMuted) return;
         const logContent = document.getElementById('log-content');
         if (!logContent) return;
         const entry = document.createElement('div');
@@ -168,9 +208,9 @@ export class GameUI {
         this._setText('frame-time',    this._perfFrameTime.toFixed(2));
         const entityEl = document.getElementById('entity-count');
         if (entityEl) {
-            const e = this.entities;
-            entityEl.textContent = e.ducks.length + e.fish.length +
-                e.food.length + e.seaCreatures.length + e.octopi.length;
+            const { pools } = this.entities.populationSnapshot();
+            entityEl.textContent = pools.ducks + pools.fish +
+                pools.food + pools.seaCreatures + pools.octopi;
         }
     }
 
@@ -182,6 +222,11 @@ export class GameUI {
         this.logEvent(this.world.isPaused ? 'Game paused' : 'Game resumed');
     }
 
+    showTimeScale(scale, btn) {
+        if (btn) btn.textContent = `⏩ ${scale}×`;
+        this.logEvent(`Simulation speed ${scale}×`);
+    }
+
     toggleHUD() { document.getElementById('hud')?.classList.toggle('collapsed'); }
     toggleLog() { document.getElementById('ecosystem-log')?.classList.toggle('collapsed'); }
 
@@ -0,0 +1,92 @@
+// game/Minimap.js
+// The whole world in miniature: sky and depth zones, a dot per entity coloured
+// by pool, and the camera's view as a rectangle. Click or drag on it to
+// move the view there. Frame-phase system; pure presentation.
+
+const WIDTH = 200;   // canvas px; height follows the world's aspect ratio
+
+// Dot colour per pool; pools not listed are drawn grey
+const POOL_COLOURS = {
+    ducks:        '#ffd43b',
+    fish:         '#ff9f43',
+    food:         '#ff6b6b',
+    eggs:         '#fff5d6',
+    algae:        '#55efc4',
+    seagrass:     '#7bed9f',
+    kelp:         '#2ed573',
+    octopi:       '#a29bfe',
+    elixirs:      '#fd79a8',
+    islands:      '#e1b382',
+    seaCreatures: '#74b9ff',
+    predators:    '#d63031',
+};
+
+export class Minimap {
+    /**
+     * @param {World}         world
+     * @param {EntityManager} entities
+     * @param {Camera}        camera
+     * @param {HTMLElement}   element   container for the canvas
+     */
+    constructor(world, entities, camera, element) {
+        this.world    = world;
+        this.entities = entities;
+        this.camera   = camera;
+        this.element  = element;
+        this.phase    = 'frame';
+        this.scale    = WIDTH / world.width;
+
+        this.canvas        = document.createElement('canvas');
+        this.canvas.width  = WIDTH;
+        this.canvas.height = Math.round(world.height * this.scale);
+        this.ctx           = this.canvas.getContext('2d');
+        element.appendChild(this.canvas);
+
+        // Centre the view on the pointer, following it while the button is down
+        const follow = e => {
+            const r = this.canvas.getBoundingClientRect();
+            this.camera.centerOn(
+                (e.clientX - r.left) / r.width  * world.width,
+                (e.clientY - r.top)  / r.height * world.height,
+            );
+        };
+        this.canvas.addEventListener('pointerdown', e => {
+            this.canvas.setPointerCapture(e.pointerId);
+            follow(e);
+        });
+        this.canvas.addEventListener('pointermove', e => {
+            if (this.canvas.hasPointerCapture(e.pointerId)) follow(e);
+        });
+    }
+
+    update() {
+        const { ctx, scale, world } = this;
+        const w = this.canvas.width;
+
+        // Sky, then each water zone shaded by the light that reaches it
+        for (const z of world.zones) {
+            ctx.fillStyle = z.water === false
+                ? (world.isNight ? '#203a43' : '#fab1a0')
+                : `hsl(210, 65%, ${8 + 32 * world.lightAt(z.top)}%)`;
+            ctx.fillRect(0, z.top * scale, w, (z.bottom - z.top) * scale);
+        }
+
+        for (const name of this.entities.poolNames) {
+            ctx.fillStyle = POOL_COLOURS[name] ?? '#b2bec3';
+            const size = name === 'islands' ? 4 : 2;
+            for (const e of this.entities[name]) {
+                ctx.fillRect(e.x * scale - size / 2, e.y * scale - size / 2, size, size);
+            }
+        }
+
+        const view = this.camera.visibleRect();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth   = 1;
+        ctx.strokeRect(
+            Math.round(view.x * scale) + 0.5,
+            Math.round(view.y * scale) + 0.5,
+            Math.round(view.width  * scale) - 1,
+            Math.round(view.height * scale) - 1,
+        );
+    }
+}
@@ -0,0 +1,80 @@
+// game/PollutionOverlay.js
+// Heatmap overlay for world.pollution: every cell of the field tinted from
+// clear through amber to red by its concentration. Drawn on a canvas inside
+// the render layer, so it pans and zooms with the world.
+// Frame-phase system; pure presentation, idle until toggled.
+
+const RESOLUTION = 0.5;   // canvas px per world px
+const REFRESH_MS = 250;
+const FAINT      = 2;     // concentration below which a cell is left clear
+
+export class PollutionOverlay {
+    /**
+     * @param {World}       world
+     * @param {HTMLElement} layer   RenderSystem.layer (world coordinates)
+     */
+    constructor(world, layer) {
+        this.world        = world;
+        this.layer        = layer;
+        this.phase        = 'frame';
+        this.visible      = false;
+        this.canvas       = null;   // created on first show
+        this._lastRefresh = 0;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        if (this.visible && !this.canvas) this._build();
+        if (this.canvas) this.canvas.style.display = this.visible ? 'block' : 'none';
+        if (this.visible) this.render();
+        return this.visible;
+    }
+
+    /** Engine hook on removeSystem/replaceSystem. */
+    dispose() {
+        this.canvas?.remove();
+        this.canvas  = null;
+        this.visible = false;
+    }
+
+    update(_dt, currentTime) {
+        if (!this.visible) return;
+        if (currentTime - this._lastRefresh < REFRESH_MS) return;
+        this._lastRefresh = currentTime;
+        this.render();
+    }
+
+    render() {
+        const { ctx } = this;
+        const { cols, rows, cell, top, values } = this.world.pollution;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(RESOLUTION, 0, 0, RESOLUTION, 0, 0);
+
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const v = values[r * cols + c];
+                if (v < FAINT) continue;
+                const f = v / 100;
+                // Amber when light, red when heavy
+                ctx.fillStyle = `rgba(${Math.round(220 + 35 * f)}, ${Math.round(180 * (1 - f))}, 40, ${0.15 + 0.5 * f})`;
+                ctx.fillRect(c * cell, top + r * cell, cell, cell);
+            }
+        }
+    }
+
+    // ── DOM ──────────────────────────────────────
+
+    _build() {
+        const { width, height } = this.world;
+        this.canvas        = document.createElement('canvas');
+        this.canvas.width  = Math.round(width  * RESOLUTION);
+        this.canvas.height = Math.round(height * RESOLUTION);
+        this.canvas.className    = 'pollution-overlay';
+        this.canvas.style.cssText =
+            `position:absolute;left:0;top:0;width:${width}px;height:${height}px;pointer-events:none;`;
+        this.ctx = this.canvas.getContext('2d');
+        this.layer.prepend(this.canvas);   // beneath every entity
+    }
+}
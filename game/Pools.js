@@ -0,0 +1,22 @@
+// game/Pools.js
+// Every entity pool Sea of Ducks uses, registered with EntityManager at startup.
+// A new planet adds a row here (corals, aliens, …) — no engine changes needed.
+//
+//   grid    spatial grid the pool's entities can join (null = none)
+//   order   per-entity update order, lower first
+//   update  false = the per-entity update pass skips this pool
+
+export const POOLS = [
+    { name: 'ducks',        grid: 'ducks',     order: 10 },
+    { name: 'fish',         grid: 'fish',      order: 20 },
+    { name: 'food',         grid: 'food',      order: 30 },
+    { name: 'eggs',         grid: null,        order: 40 },
+    { name: 'algae',        grid: null,        order: 50 },
+    { name: 'seagrass',     grid: null,        order: 60 },
+    { name: 'kelp',         grid: null,        order: 70 },
+    { name: 'octopi',       grid: null,        order: 80 },
+    { name: 'elixirs',      grid: null,        order: 90,  update: false },
+    { name: 'islands',      grid: null,        order: 0,   update: false },
+    { name: 'seaCreatures', grid: 'creatures', order: 100 },
+    { name: 'predators',    grid: null,        order: 110 },
+];
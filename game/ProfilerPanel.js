@@ -0,0 +1,90 @@
+// game/ProfilerPanel.js
+// Toggleable overlay for engine.profiler: a stacked bar showing where the
+// frame goes, then per-system, per-entity-class and per-function rows with
+// average, p95 and worst time over the profiler's rolling window.
+// Frame-phase system; pure presentation. Hidden = profiler disabled.
+
+const SECTIONS = [
+    { group: 'system', label: 'Systems'    },
+    { group: 'entity', label: 'Entities'   },
+    { group: 'fn',     label: 'Functions'  },
+];
+
+// Colours for the breakdown chart, assigned to systems in report order
+const PALETTE = ['#ffd93d', '#4ecdc4', '#ff6b6b', '#74b9ff', '#a29bfe', '#55efc4', '#fab1a0', '#fd79a8'];
+
+const REFRESH_MS = 500;
+
+export class ProfilerPanel {
+    constructor(profiler, element) {
+        this.profiler     = profiler;
+        this.element      = element;
+        this.phase        = 'frame';
+        this.visible      = false;
+        this._lastRefresh = 0;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.profiler.setEnabled(this.visible);
+        this.element?.classList.toggle('visible', this.visible);
+        if (!this.visible && this.element) this.element.innerHTML = '';
+        return this.visible;
+    }
+
+    /** Engine hook on removeSystem/replaceSystem. */
+    dispose() {
+        if (this.visible) this.toggle();
+    }
+
+    update(_dt, currentTime) {
+        if (!this.visible || !this.element) return;
+        if (currentTime - this._lastRefresh < REFRESH_MS) return;
+        this._lastRefresh = currentTime;
+        this.render();
+    }
+
+    render() {
+        const frame = this.profiler.frameStats();
+        if (!frame) {
+            this.element.innerHTML = '<div class="prof-header">📊 Profiler</div><div class="prof-empty">Collecting…</div>';
+            return;
+        }
+
+        const systems = this.profiler.report('system');
+        let html = `<div class="prof-header">📊 Profiler
+            <span class="prof-frame">frame ${_ms(frame.avg)} avg · ${_ms(frame.p95)} p95 · ${this.profiler.window}f window</span>
+        </div>`;
+
+        // Breakdown chart: each system's share of the average frame
+        html += '<div class="prof-chart">';
+        systems.forEach((s, i) => {
+            const pct = frame.avg > 0 ? (s.avg / frame.avg) * 100 : 0;
+            if (pct < 0.5) return;
+            html += `<div class="prof-chart-seg" style="width:${pct.toFixed(2)}%;background:${PALETTE[i % PALETTE.length]}" title="${s.name} ${pct.toFixed(1)}%"></div>`;
+        });
+        html += '</div>';
+
+        for (const { group, label } of SECTIONS) {
+            const rows = group === 'system' ? systems : this.profiler.report(group);
+            if (!rows.length) continue;
+            const worst = rows[0].avg || 1;
+            html += `<div class="prof-section">${label}<span>avg · p95 · max</span></div>`;
+            rows.forEach((r, i) => {
+                const colour = group === 'system' ? PALETTE[i % PALETTE.length] : 'rgba(255,255,255,0.35)';
+                const calls  = group === 'system' ? '' : ` <span class="prof-calls">×${Math.round(r.calls)}</span>`;
+                html += `<div class="prof-row">
+                    <div class="prof-bar" style="width:${((r.avg / worst) * 100).toFixed(1)}%;background:${colour}"></div>
+                    <span class="prof-name">${r.name}${calls}</span>
+                    <span class="prof-nums">${_ms(r.avg)} · ${_ms(r.p95)} · ${_ms(r.max)}</span>
+                </div>`;
+            });
+        }
+
+        this.element.innerHTML = html;
+    }
+}
+
+function _ms(v) {
+    return v < 10 ? v.toFixed(2) : v.toFixed(1);
+}
@@ -0,0 +1,137 @@
+// game/ReplayPanel.js
+// Timeline bar for engine/Replay.js: the recorded session from its start to
+// its end, with keyframe ticks, a dot per logged action and the playhead.
+// Drag anywhere on the track to scrub; the jump happens on release.
+// Frame-phase system; pure presentation — seeking, saving and loading go
+// through the callbacks main.js passes in.
+
+const REFRESH_MS = 250;
+
+export class ReplayPanel {
+    /**
+     * @param {Replay}      replay
+     * @param {HTMLElement} element
+     * @param {object}      handlers
+     * @param {Function}    handlers.onSeek   (step) => void
+     * @param {Function}    handlers.onSave   () => void
+     * @param {Function}    handlers.onLoad   (File) => void
+     */
+    constructor(replay, element, { onSeek, onSave, onLoad }) {
+        this.replay       = replay;
+        this.element      = element;
+        this.phase        = 'frame';
+        this.visible      = false;
+        this._handlers    = { onSeek, onSave, onLoad };
+        this._dragStep    = null;   // step under the pointer while scrubbing
+        this._lastRefresh = 0;
+        this._parts       = null;   // child elements, built on first show
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        if (this.visible && !this._parts) this._build();
+        this.element?.classList.toggle('visible', this.visible);
+        if (this.visible) this.render();
+        return this.visible;
+    }
+
+    update(_dt, currentTime) {
+        if (!this.visible || !this.element) return;
+        if (currentTime - this._lastRefresh < REFRESH_MS) return;
+        this._lastRefresh = currentTime;
+        this.render();
+    }
+
+    render() {
+        const { track, fill, head, marks, mode, time } = this._parts;
+        const replay = this.replay;
+        const end    = Math.max(1, replay.endStep);
+        const now    = replay.engine.stepCount;
+        const shown  = this._dragStep ?? now;
+        const pct    = step => ((step / end) * 100).toFixed(2) + '%';
+
+        const live = replay.mode === 'live';
+        mode.textContent = live ? '● LIVE' : '▶ REPLAY';
+        mode.className   = 'replay-mode ' + (live ? 'replay-live' : 'replay-playback');
+        time.textContent = `${this._clock(shown)} / ${this._clock(replay.endStep)}`;
+        fill.style.width = pct(now);
+        head.style.left  = pct(shown);
+        track.classList.toggle('scrubbing', this._dragStep !== null);
+
+        let html = '';
+        for (const k of replay.keyframes) html += `<div class="replay-key" style="left:${pct(k.step)}"></div>`;
+        for (const a of replay.log) {
+            if (a.step > end) break;
+            html += `<div class="replay-action" style="left:${pct(a.step)}" title="${this._clock(a.step)} ${a.name}"></div>`;
+        }
+        marks.innerHTML = html;
+    }
+
+    // ── DOM ──────────────────────────────────────
+
+    _build() {
+        this.element.innerHTML = `
+            <div class="replay-header">⏪ Timeline
+                <span class="replay-mode"></span>
+                <span class="replay-time"></span>
+                <span class="replay-buttons">
+                    <button data-act="live" title="Jump to the end of the recording and take over.">⏭️ Live</button>
+                    <button data-act="save" title="Download this session's seed and actions, replayable here or with node headless.js --replay.">💾 Save</button>
+                    <label class="replay-load" title="Replay a saved session from its start.">📂 Load<input type="file" accept=".json,application/json"></label>
+                </span>
+            </div>
+            <div class="replay-track">
+                <div class="replay-fill"></div>
+                <div class="replay-marks"></div>
+                <div class="replay-head"></div>
+            </div>`;
+
+        const $ = sel => this.element.querySelector(sel);
+        this._parts = {
+            track: $('.replay-track'),
+            fill:  $('.replay-fill'),
+            marks: $('.replay-marks'),
+            head:  $('.replay-head'),
+            mode:  $('.replay-mode'),
+            time:  $('.replay-time'),
+        };
+
+        $('[data-act="live"]').addEventListener('click', () => this._handlers.onSeek(this.replay.endStep));
+        $('[data-act="save"]').addEventListener('click', () => this._handlers.onSave());
+        $('.replay-load input').addEventListener('change', e => {
+            const file = e.target.files?.[0];
+            if (file) this._handlers.onLoad(file);
+            e.target.value = '';
+        });
+
+        // Scrubbing: follow the pointer, seek once on release
+        const track = this._parts.track;
+        const stepAt = e => {
+            const r = track.getBoundingClientRect();
+            const f = Math.max(0, Math.min(1, (e.clientX - r.left) / r.width));
+            return Math.round(f * this.replay.endStep);
+        };
+        track.addEventListener('pointerdown', e => {
+            track.setPointerCapture(e.pointerId);
+            this._dragStep = stepAt(e);
+            this.render();
+        });
+        track.addEventListener('pointermove', e => {
+            if (this._dragStep === null) return;
+            this._dragStep = stepAt(e);
+            this.render();
+        });
+        track.addEventListener('pointerup', e => {
+            if (this._dragStep === null) return;
+            const step = stepAt(e);
+            this._dragStep = null;
+            this._handlers.onSeek(step);
+            this.render();
+        });
+    }
+
+    _clock(step) {
+        const s = Math.floor(step * this.replay.engine.stepDt);
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,17 @@
+// game/Seasons.js
+// The year, in order from the start of a run, handed to World at startup.
+// Each season lasts CONFIG.SEASON_LENGTH seconds. Numeric fields are the
+// values at the season's midpoint; world.seasonal() eases between them.
+// Species refer to seasons by name in SpeciesRegistry (breedingSeasons,
+// awaySeasons).
+//
+//   temperature  °C above or below each depth zone's own, felt as deep as sunlight reaches
+//   daylight     fraction of each day/night cycle that is day
+//   algaeGrowth  multiplier on natural regrowth: algae, shrimp, salmon, kelp, seagrass
+
+export const SEASONS = [
+    { name: 'spring', emoji: '🌸', temperature:  0, daylight: 0.55, algaeGrowth: 1.5 },
+    { name: 'summer', emoji: '🌞', temperature:  5, daylight: 0.65, algaeGrowth: 1.2 },
+    { name: 'autumn', emoji: '🍂', temperature:  0, daylight: 0.45, algaeGrowth: 0.8 },
+    { name: 'winter', emoji: '❄️', temperature: -6, daylight: 0.35, algaeGrowth: 0.4 },
+];
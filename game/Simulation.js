@@ -0,0 +1,212 @@
+// game/Simulation.js
+// Builds the simulation half of Sea of Ducks: bus, world, entity manager,
+// spawners, and every simulation system in execution order.
+// No DOM access anywhere in here — main.js adds rendering, HUD and the UFO
+// on top, headless.js runs the result bare under Node.
+
+import { Engine }              from '../engine/Core.js';
+import { World }               from '../engine/World.js';
+import { EntityManager }       from '../engine/EntityManager.js';
+import { EventBus, Events }    from '../engine/EventBus.js';
+import { EventJournal }        from '../engine/EventJournal.js';
+import { MovementSystem }      from '../engine/Systems/MovementSystem.js';
+import { AISystem }            from '../engine/Systems/AISystem.js';
+import { FeedingSystem }       from '../engine/Systems/FeedingSystem.js';
+import { HealthSystem }        from '../engine/Systems/HealthSystem.js';
+import { ReproductionSystem }  from '../engine/Systems/ReproductionSystem.js';
+import { PollutionSystem }     from '../engine/Systems/PollutionSystem.js';
+import { SpatialIndexSystem }  from '../engine/Systems/SpatialIndexSystem.js';
+import { CurrentSystem }       from '../engine/Systems/CurrentSystem.js';
+import { WeatherSystem }       from '../engine/Systems/WeatherSystem.js';
+import { SeasonSystem }        from '../engine/Systems/SeasonSystem.js';
+import {
+    FallingSystem, AgingSystem, MetabolismSystem, ReproducerSystem,
+} from '../engine/Systems/ComponentSystems.js';
+
+import { Spawners }            from './Spawners.js';
+import { POOLS }               from './Pools.js';
+import { DEPTH_ZONES }         from './DepthZones.js';
+import { WEATHER }             from './Weather.js';
+import { SEASONS }             from './Seasons.js';
+import { SPECIES }             from './SpeciesRegistry.js';
+
+/**
+ * @param {object} config             CONFIG from GameConfig.js
+ * @param {object} [opts]
+ * @param {number} [opts.width]       world width  (defaults to config.WORLD_WIDTH)
+ * @param {number} [opts.height]      world height (defaults to config.WORLD_HEIGHT)
+ * @param {number} [opts.seed]        RNG seed (defaults to config.SEED, then random)
+ * @returns {{ bus, world, entities, engine, spawners, journal, weather }}
+ */
+export function createSimulation(config, { width = null, height = null, seed = null } = {}) {
+    const bus      = new EventBus().setDeferred(Events.HUD_REFRESH);
+    const world    = new World(config, { width, height, seed, zones: DEPTH_ZONES, seasons: SEASONS });
+    const entities = new EntityManager(bus, config).registerPools(POOLS);
+    const engine   = new Engine({
+        targetFPS:     config.UPDATE_FPS,
+        world,
+        fixedTimestep: config.FIXED_TIMESTEP,
+        timeScale:     config.TIME_SCALE,
+    });
+    const spawners = new Spawners(world, entities, bus);
+    const journal  = new EventJournal(bus, {
+        clock:    () => engine.simTime,
+        capacity: config.JOURNAL_CAPACITY,
+        exclude:  [Events.HUD_REFRESH],
+        throttle: { [Events.POLLUTION_CHANGED]: 1 },   // emitted every step while it drifts
+    });
+
+    // ── Profiling ─────────────────────────────────────────────────────────────
+    // Systems are timed by the Engine itself; entity updates are timed per
+    // class, and the cap check every spawn path runs through gets its own row.
+    const profiler = engine.profiler;
+    profiler.wrap(entities, 'canSpawn');
+
+    const updateProfiled = (allArrays, dt) => {
+        for (const arr of allArrays) {
+            for (let i = arr.length - 1; i >= 0; i--) {
+                const e = arr[i];
+                if (!e) continue;
+                const t0 = profiler.now();
+                e.update(dt, world, entities, bus, config);
+                profiler.add(`entity:${e.constructor.name}`, profiler.now() - t0);
+            }
+        }
+    };
+
+    // ── Register systems (execution order matters) ────────────────────────────
+    // Names are the handles for engine.setEnabled / removeSystem / replaceSystem.
+
+    // 1. Flush removal queue from last frame before anyone reads arrays
+    engine.addSystem({
+        update: () => entities.flushRemovals(),
+    }, { name: 'flushRemovals' });
+
+    // 2. AI decisions (low frequency — entities throttle internally)
+    engine.addSystem(new AISystem(world, entities, bus), { name: 'ai' });
+
+    // 2a. Feeding — who hunts and eats what, from each species' diet
+    engine.addSystem(new FeedingSystem(world, entities, bus,
+        ['ducks', 'fish', 'seaCreatures', 'octopi', 'food', 'predators'],
+        ['ducks', 'fish', 'seaCreatures', 'food', 'algae', 'kelp']), { name: 'feeding' });
+
+    // 3. Movement — steers everything that swims, walks or paddles, round the islands
+    engine.addSystem(new MovementSystem(world, entities,
+        ['ducks', 'fish', 'seaCreatures', 'octopi', 'food', 'predators'],
+        () => entities.islands.map(i => i.footprint)), { name: 'movement' });
+
+    // 3a. Ocean currents drift everything loose in the water
+    engine.addSystem(new CurrentSystem(world, entities,
+        ['fish', 'seaCreatures', 'octopi', 'food', 'algae', 'eggs', 'elixirs']), { name: 'currents' });
+
+    // 4. Reproduction (pair-finding for fish/mammals/shrimp)
+    engine.addSystem(new ReproductionSystem(world, entities, bus, spawners), { name: 'reproduction' });
+
+    // 4b. Weather — ahead of pollution, which reads world.weather
+    const weather = new WeatherSystem(world, entities, bus, spawners, WEATHER);
+    engine.addSystem(weather, { name: 'weather' });
+
+    // 5. Pollution + algae lifetime
+    engine.addSystem(new PollutionSystem(world, entities, bus), { name: 'pollution' });
+
+    // 6. Per-entity update() — aging, behaviour execution, shrimp physics
+    engine.addSystem({
+        update: (dt) => {
+            if (world.isPaused) return;
+            const allArrays = entities.updateArrays;
+            if (profiler.enabled) {
+                updateProfiled(allArrays, dt);
+            } else {
+                for (const arr of allArrays)
+                    for (let i = arr.length - 1; i >= 0; i--)
+                        arr[i]?.update(dt, world, entities, bus, config);
+            }
+
+            // Mark dead entities for removal
+            for (const arr of allArrays)
+                for (const e of arr)
+                    if (e.dead) entities.queueRemove(e);
+        },
+    }, { name: 'entityUpdate' });
+
+    // 6a. Component systems — run over whatever carries the components
+    engine.addSystem(new FallingSystem(world, entities),    { name: 'falling' });
+    engine.addSystem(new AgingSystem(world, entities),      { name: 'aging' });
+    engine.addSystem(new MetabolismSystem(world, entities), { name: 'metabolism' });
+    engine.addSystem(new ReproducerSystem(world, entities, spawners), { name: 'reproducers' });
+
+    // 6b. Health — starvation, exhaustion, poisoning and disease; healing when well
+    engine.addSystem(new HealthSystem(world, entities, bus,
+        ['ducks', 'fish', 'seaCreatures', 'octopi', 'food', 'predators']), { name: 'health' });
+
+    // 6c. Re-file everything that moved this step in the spatial grids
+    engine.addSystem(new SpatialIndexSystem(entities), {
+        name: 'spatialIndex', after: ['movement', 'currents', 'entityUpdate'],
+    });
+
+    // 7. Natural regrowth, fastest in spring: algae bloom, shrimp and salmon
+    //    drift in from the open sea, kelp and seagrass take root again
+    engine.addSystem(naturalSpawner(world, config.ALGAE_SPAWN_INTERVAL, () => spawners.addAlgae()), { name: 'algaeSpawner' });
+    engine.addSystem(naturalSpawner(world, config.SHRIMP_SPAWN_INTERVAL, () => {
+        spawners.addFoodAt(world.randomOceanX(), spawners.depthY(SPECIES.prey.SHRIMP));
+    }), { name: 'shrimpSpawner' });
+    engine.addSystem(naturalSpawner(world, config.FISH_SPAWN_INTERVAL, () => spawners.addFish()), { name: 'fishSpawner' });
+    engine.addSystem(naturalSpawner(world, config.PLANT_SPAWN_INTERVAL, () => {
+        if (world.rng.chance(0.5)) spawners.addKelp();
+        else spawners.addSeagrass();
+    }), { name: 'plantSpawner' });
+
+    // 8. Day/night
+    engine.addSystem({
+        update: (dt) => {
+            if (world.isPaused) return;
+            const flipped = world.tick(dt);
+            if (flipped) bus.emit(Events.DAY_NIGHT_FLIP);
+        },
+    }, { name: 'dayNight' });
+
+    // 8a. Seasons — announces each one and moves migratory birds
+    const migrants = Object.values(SPECIES.birds).filter(def => def.awaySeasons);
+    engine.addSystem(new SeasonSystem(world, entities, bus, spawners, migrants), { name: 'seasons' });
+
+    // 8b. Deferred events (HUD_REFRESH, coalesced) — flushed once per displayed
+    //     frame, ahead of any frame-phase system main.js adds
+    engine.addSystem({
+        phase:  'frame',
+        update: () => bus.flush(),
+    }, { name: 'eventFlush', priority: -100 });
+
+    return { bus, world, entities, engine, spawners, journal, weather };
+}
+
+/** Calls `spawn` every `interval` s, sped up or slowed by the season's algaeGrowth. */
+function naturalSpawner(world, interval, spawn) {
+    let timer = 0;
+    return {
+        update: (dt) => {
+            if (world.isPaused) return;
+            timer += dt * world.seasonal('algaeGrowth', 1);
+            if (timer >= interval) {
+                timer = 0;
+                spawn();
+            }
+        },
+        snapshot: ()  => timer,
+        restore:  (t) => { timer = t; },
+    };
+}
+
+/** The starting pond every session opens with. */
+export function populateInitialScene(spawners) {
+    spawners.addIsland('medium');
+    spawners.addIsland('small');
+
+    for (let i = 0; i < 4; i++) spawners.addBird();
+    for (let i = 0; i < 3; i++) spawners.addFish();
+    for (let i = 0; i < 2; i++) spawners.addFood();
+
+    spawners.addOctopus();
+    spawners.addSeaCreature();
+    spawners.addKelp();
+    spawners.addAlgae('seagrass');
+}
@@ -10,15 +10,20 @@ import { BirdEntity }   from './Entities/Bird.js';
 import { FishEntity }   from './Entities/Fish.js';
 import { MammalEntity } from './Entities/Mammal.js';
 import { AlgaeEntity }  from './Entities/Algae.js';
+import { ComponentEntity } from '../engine/Components.js';
 
 // Static entities imported inline to avoid circular deps
 // (Island, Egg, Elixir are defined below as lightweight classes)
 
+const ELIXIR_RADIUS = 200;   // px around an opened elixir that it purifies
+const ELIXIR_POWER  = 80;    // pollution taken out at its centre, fading to the edge
+
 export class Spawners {
     constructor(world, entities, bus) {
         this.world    = world;
         this.entities = entities;
         this.bus      = bus;
+        this.rng      = world.rng;
         this.ui       = null;
 
         // Listen to events that trigger spawn side-effects
@@ -41,6 +46,39 @@ export class Spawners {
         this.ui = ui;
     }
 
+    // ── Placement ─────────────────────────────────────────────────────────────
+
+    /**
+     * A spawn depth in the species' preferred zones. Species that can't move
+     * (shells) settle on the bottom of the band; species without zones get
+     * the old upper-ocean band.
+     */
+    depthY(speciesDef) {
+        if (!speciesDef.preferredZones) return this.world.randomOceanY();
+        if (speciesDef.mobile === false) return this.world.depthBands(speciesDef.preferredZones).at(-1).bottom;
+        return this.world.randomDepthY(speciesDef.preferredZones);
+    }
+
+    // ── Component-built species ───────────────────────────────────────────────
+
+    /**
+     * Spawn a species that declares a `components` block in SpeciesRegistry:
+     * a bare ComponentEntity whose behaviour comes entirely from its
+     * components. It lives in speciesDef.pool (default 'seaCreatures').
+     */
+    spawnSpecies(speciesDef, x = this.world.randomOceanX(), y = this.depthY(speciesDef)) {
+        if (!speciesDef.components) throw new Error(`Spawners.spawnSpecies: ${speciesDef.id} declares no components`);
+        if (!this.entities.canSpawn(speciesDef)) {
+            this.ui?.logEvent(`Max ${speciesDef.name} reached (${speciesDef.MAX_COUNT})!`);
+            return null;
+        }
+
+        const entity = new ComponentEntity(this.entities.nextId(), x, y, speciesDef);
+        this.entities.components.addAll(entity, speciesDef.components);
+        this.entities.add(entity, speciesDef.pool ?? 'seaCreatures', true);
+        return entity;
+    }
+
     // ── Birds ─────────────────────────────────────────────────────────────────
 
     addBird(speciesDef = SPECIES.birds.MALLARD) {
@@ -54,13 +92,13 @@ export class Spawners {
         const waterMin = w.height * 0.35, waterMax = w.height * 0.45;
 
         while (!valid && attempts < 30) {
-            x = Math.random() * (w.width - 100);
-            y = waterMin + Math.random() * (waterMax - waterMin);
+            x = this.rng.next() * (w.width - 100);
+            y = waterMin + this.rng.next() * (waterMax - waterMin);
             valid = this.entities.ducks.every(d => _dist(x, y, d.x, d.y) > 80);
             attempts++;
         }
 
-        const bird = new BirdEntity(this.entities.nextDuckId++, x, y, speciesDef);
+        const bird = new BirdEntity(this.entities.nextId(), x, y, speciesDef, this.rng);
         this.entities.add(bird, 'ducks', true);
         this.ui?.logEvent(`New ${bird.personality} ${speciesDef.name} #${bird.id} joined the pond!`);
         return bird;
@@ -74,21 +112,20 @@ export class Spawners {
             return null;
         }
 
-        const entity = new FishEntity(this.entities.nextFishId++, x, y, speciesDef);
         const mainFish = [
             SPECIES.fish.SALMON.id,
             SPECIES.fish.TROPICAL.id,
             SPECIES.fish.PUFFER.id,
             SPECIES.fish.SHARK.id
         ];
+        const pool = speciesDef.isOctopus             ? 'octopi'
+                   : mainFish.includes(speciesDef.id) ? 'fish'
+                   :                                    'seaCreatures';
 
-        if (speciesDef.isOctopus) {
-            this.entities.add(entity, 'octopi');
-        } else if (mainFish.includes(speciesDef.id)) {
-            this.entities.add(entity, 'fish', true);
-        } else {
-            this.entities.add(entity, 'seaCreatures', true);
-        }
+        const entity = new FishEntity(this.entities.nextId(), x, y, speciesDef, this.rng);
+        const falls  = !!speciesDef.fallsFromSky;
+        this.entities.add(entity, pool, pool !== 'octopi' && !falls);
+        if (falls) this.entities.components.add(entity, 'Falling', { gravity: 300, landY: this.world.oceanTop + 20 });
 
         return entity;
     }
@@ -97,7 +134,7 @@ export class Spawners {
         return this.spawnFish(
             speciesDef,
             this.world.randomOceanX(),
-            this.world.randomOceanY()
+            this.depthY(speciesDef)
         );
     }
 
@@ -105,7 +142,7 @@ export class Spawners {
         return this.spawnFish(
             SPECIES.fish.OCTOPUS,
             this.world.randomOceanX(),
-            this.world.randomOceanY()
+            this.depthY(SPECIES.fish.OCTOPUS)
         );
     }
 
@@ -117,8 +154,8 @@ export class Spawners {
             return;
         }
 
-        const island = this.entities.islands[Math.floor(Math.random() * this.entities.islands.length)];
-        const def = speciesDef ?? (Math.random() < 0.5 ? SPECIES.mammals.CAT : SPECIES.mammals.DOG);
+        const island = this.entities.islands[this.rng.int(this.entities.islands.length)];
+        const def = speciesDef ?? (this.rng.chance(0.5) ? SPECIES.mammals.CAT : SPECIES.mammals.DOG);
 
         if (!this.entities.canSpawn(def)) {
             this.ui?.logEvent(`Max ${def.name} reached!`);
@@ -127,10 +164,11 @@ export class Spawners {
 
         const off = island.size === 'small' ? 45 : island.size === 'medium' ? 70 : 90;
         const p = new MammalEntity(
-            this.entities.nextPredatorId++,
-            island.x + off + (Math.random() - 0.5) * 30,
-            island.y + off + (Math.random() - 0.5) * 30,
+            this.entities.nextId(),
+            island.x + off + this.rng.spread(30),
+            island.y + off + this.rng.spread(30),
             def,
+            this.rng,
             island
         );
 
@@ -141,7 +179,7 @@ export class Spawners {
 
     spawnSeaCreature(speciesDef, x, y) {
         if (!this.entities.canSpawn(speciesDef)) return null;
-        const entity = new MammalEntity(this.entities.nextCreatureId++, x, y, speciesDef);
+        const entity = new MammalEntity(this.entities.nextId(), x, y, speciesDef, this.rng);
         this.entities.add(entity, 'seaCreatures', true);
         return entity;
     }
@@ -149,7 +187,7 @@ export class Spawners {
     addSeaCreature(speciesDef = null) {
         const def = speciesDef ?? (() => {
             const opts = Object.values(SPECIES.mammals).filter(m => !m.isPredator && !m.onIsland);
-            return opts[Math.floor(Math.random() * opts.length)];
+            return opts[this.rng.int(opts.length)];
         })();
 
         if (!this.entities.canSpawn(def)) {
@@ -158,10 +196,11 @@ export class Spawners {
         }
 
         const entity = new MammalEntity(
-            this.entities.nextCreatureId++,
+            this.entities.nextId(),
             this.world.randomOceanX(),
-            this.world.randomOceanY(),
-            def
+            this.depthY(def),
+            def,
+            this.rng
         );
 
         this.entities.add(entity, 'seaCreatures', true);
@@ -175,14 +214,16 @@ export class Spawners {
         if (!this.entities.canSpawn(speciesDef)) return;
 
         const shrimp = new PreyEntity(
-            this.entities.nextFoodId++,
+            this.entities.nextId(),
             this.world.randomOceanX(),
             50,
             speciesDef,
+            this.rng,
             true
         );
 
         this.entities.add(shrimp, 'food');
+        this.entities.components.add(shrimp, 'Falling', { gravity: 300 });
         return shrimp;
     }
 
@@ -190,19 +231,18 @@ export class Spawners {
         if (!this.entities.canSpawn(SPECIES.prey.SHRIMP)) return;
 
         const s = new PreyEntity(
-            this.entities.nextFoodId++,
+            this.entities.nextId(),
             x,
             y,
             SPECIES.prey.SHRIMP,
+            this.rng,
             shouldFall
         );
 
-        if (!shouldFall) {
-            s.hasEnteredWater = true;
-            this.entities.grids.food.add(s);
-        }
+        if (!shouldFall) s.hasEnteredWater = true;
 
-        this.entities.add(s, 'food');
+        this.entities.add(s, 'food', !shouldFall);
+        if (shouldFall) this.entities.components.add(s, 'Falling', { gravity: 300 });
         return s;
     }
 
@@ -211,15 +251,15 @@ export class Spawners {
 
         const ot = this.world.oceanTop;
         const baby = new PreyEntity(
-            this.entities.nextFoodId++,
+            this.entities.nextId(),
             x,
             Math.max(ot + 10, y),
             SPECIES.prey.SHRIMP_B,
+            this.rng,
             false
         );
 
         baby.hasEnteredWater = true;
-        baby.element?.classList.add('swimming');
         this.entities.add(baby, 'food', true);
         return baby;
     }
@@ -238,7 +278,7 @@ export class Spawners {
         else if (type === 'seagrass') def = SPECIES.algae.SEAGRASS;
         else {
             const creatureCount = this.entities.ducks.length + this.entities.fish.length;
-            def = Math.random() < Math.min(0.7, creatureCount * 0.05)
+            def = this.rng.next() < Math.min(0.7, creatureCount * 0.05)
                 ? SPECIES.algae.TOXIC
                 : SPECIES.algae.HEALTHY;
         }
@@ -246,10 +286,11 @@ export class Spawners {
         if (!this.entities.canSpawn(def)) return;
 
         const entity = new AlgaeEntity(
-            this.entities.nextAlgaeId++,
+            this.entities.nextId(),
             this.world.randomOceanX(),
-            this.world.randomOceanY(0.5),
-            def
+            this.depthY(def),
+            def,
+            this.rng
         );
 
         if (def.isSeagrass) this.entities.add(entity, 'seagrass');
@@ -263,10 +304,11 @@ export class Spawners {
         if (!this.entities.canSpawn(SPECIES.algae.KELP)) return;
 
         const entity = new AlgaeEntity(
-            this.entities.nextKelpId++,
+            this.entities.nextId(),
             this.world.randomOceanX(),
             this.world.oceanTop + 10,
-            SPECIES.algae.KELP
+            SPECIES.algae.KELP,
+            this.rng
         );
 
         this.entities.add(entity, 'kelp');
@@ -282,16 +324,17 @@ export class Spawners {
         if (nearIsland) {
             const off  = nearIsland.size === 'small' ? 45 : nearIsland.size === 'medium' ? 70 : 90;
             const base = nearIsland.size === 'small' ? 50 : nearIsland.size === 'medium' ? 80 : 110;
-            const angle = Math.random() * Math.PI * 2;
-            const dist  = base + 20 + Math.random() * 100;
+            const angle = this.rng.next() * Math.PI * 2;
+            const dist  = base + 20 + this.rng.next() * 100;
             x = Math.max(10, Math.min(nearIsland.x + off + Math.cos(angle) * dist, w.width - 20));
         }
 
         const entity = new AlgaeEntity(
-            this.entities.nextSeagrassId++,
+            this.entities.nextId(),
             x,
             w.oceanTop + 10,
-            SPECIES.algae.SEAGRASS
+            SPECIES.algae.SEAGRASS,
+            this.rng
         );
 
         this.entities.add(entity, 'seagrass');
@@ -305,7 +348,7 @@ export class Spawners {
         if (this.entities.islands.length >= 8) return;
 
         if (!size) {
-            const r = Math.random();
+            const r = this.rng.next();
             size = r < 0.3 ? 'small' : r < 0.65 ? 'medium' : 'large';
         }
 
@@ -314,8 +357,8 @@ export class Spawners {
 
         let x, y, valid = false, attempts = 0;
         while (!valid && attempts < 50) {
-            x = Math.random() * (w.width - iw - 20) + 10;
-            y = w.oceanTop + Math.random() * (w.height * 0.25);
+            x = this.rng.next() * (w.width - iw - 20) + 10;
+            y = w.oceanTop + this.rng.next() * (w.height * 0.25);
             const co = size === 'small' ? 45 : size === 'medium' ? 70 : 90;
 
             valid = this.entities.islands.every(ei => {
@@ -331,12 +374,12 @@ export class Spawners {
             return;
         }
 
-        const island = new Island(this.entities.nextIslandId++, x, y, size);
+        const island = new Island(this.entities.nextId(), x, y, size);
         this.entities.add(island, 'islands');
 
         const gc = size === 'small' ? 2 : size === 'medium' ? 3 : 4;
         for (let i = 0; i < gc; i++) {
-            setTimeout(() => this.addSeagrass(island), i * 300);
+            this.world.scheduler.after(i * 0.3, () => this.addSeagrass(island));
         }
 
         this.ui?.logEvent(`${size.charAt(0).toUpperCase() + size.slice(1)} Island #${island.id} appeared! 🏝️`);
@@ -344,17 +387,19 @@ export class Spawners {
     }
 
     createEgg(x, y, parentColor, parentSpeciesDef = SPECIES.birds.MALLARD) {
-        // EntityManager may not define nextEggId — use a module-level counter
-        if (typeof Spawners._eggCounter === 'undefined') Spawners._eggCounter = 1;
         const egg = new Egg(
-            Spawners._eggCounter++,
+            this.entities.nextId(),
             x,
             y,
             parentColor,
             parentSpeciesDef,
             this.entities,
-            this.bus
+            this.bus,
+            this.rng,
+            this.world.scheduler
         );
+        // Eggs laid on an island stay there; the rest float off on the current
+        egg.anchored = this.entities.islands.some(i => i.covers(x, y));
         this.entities.add(egg, 'eggs');
         return egg;
     }
@@ -362,13 +407,13 @@ export class Spawners {
     addElixir() {
         const w = this.world;
         const elixir = new Elixir(
-            this.entities.nextElixirId++,
-            Math.random() * (w.width - 50),
-            50,
-            w.oceanTop
+            this.entities.nextId(),
+            this.rng.next() * (w.width - 50),
+            50
         );
 
         this.entities.add(elixir, 'elixirs');
+        this.entities.components.add(elixir, 'Falling', { gravity: 150, landY: w.oceanTop + 20 });
         this.ui?.logEvent('Added water purification elixir ⚗️');
         return elixir;
     }
@@ -376,14 +421,14 @@ export class Spawners {
     // ── Elixir effect ─────────────────────────────────────────────────────────
 
     _onElixirOpened({ elixir }) {
-        [...this.entities.algae]
-            .filter(a => a.speciesDef.toxic)
+        const { x, y } = elixir;
+        this.entities.query({ pools: 'algae', tags: ['toxic'], near: { x, y, radius: ELIXIR_RADIUS } })
             .forEach(a => this.entities.queueRemove(a));
 
-        this.entities.waterPollution = Math.max(0, this.entities.waterPollution - 40);
+        this.world.pollution.clean(x, y, ELIXIR_RADIUS, ELIXIR_POWER);
 
         for (let i = 0; i < 3; i++) {
-            setTimeout(() => this.addSeagrass(), i * 200);
+            this.world.scheduler.after(i * 0.2, () => this.addSeagrass());
         }
     }
 }
@@ -398,6 +443,8 @@ function _dist(x1, y1, x2, y2) {
 
 // ── Static Entities (Island, Egg, Elixir, Prey) ───────────────────────────────
 // These are small enough to live in this file and are only constructed by Spawners.
+// Like every entity they never build DOM in the constructor — RenderSystem calls
+// createElement() on first render, so they run headless untouched.
 
 class Island {
     constructor(id, x, y, size) {
@@ -405,7 +452,19 @@ class Island {
         this.x = x;
         this.y = y;
         this.size = size;
-        this.element = this.createElement();
+        this.element = null;   // assigned by RenderSystem
+    }
+
+    /** The sand as a circle { x, y, r } — also what swimmers steer around. */
+    get footprint() {
+        const r = this.size === 'small' ? 45 : this.size === 'medium' ? 70 : 90;
+        return { x: this.x + r, y: this.y + r, r: r + 10 };
+    }
+
+    /** Whether (x, y) is on the island's sand. */
+    covers(x, y) {
+        const f = this.footprint;
+        return _dist(x, y, f.x, f.y) < f.r;
     }
 
     createElement() {
@@ -458,7 +517,6 @@ class Island {
             <div class="island-grass" style="z-index:6;">${grassHTML}</div>
         `;
 
-        document.getElementById('game-container').appendChild(island);
         return island;
     }
 
@@ -475,7 +533,7 @@ class Island {
 }
 
 class Egg {
-    constructor(id, x, y, parentColor, parentSpeciesDef, entities, bus) {
+    constructor(id, x, y, parentColor, parentSpeciesDef, entities, bus, rng, scheduler) {
         this.id               = id;
         this.x                = x;
         this.y                = y;
@@ -483,8 +541,11 @@ class Egg {
         this.parentSpeciesDef = parentSpeciesDef || SPECIES.birds.MALLARD;
         this.entities         = entities;
         this.bus              = bus;
-        this.hatchTime        = 3 + Math.random() * 2;   // auto-hatch in 3–5s
-        this.element          = this.createElement();
+        this.rng              = rng;
+        this.scheduler        = scheduler;
+        this._destroyed       = false;
+        this.hatchTime        = 3 + this.rng.next() * 2;   // auto-hatch in 3–5s
+        this.element          = null;                     // assigned by RenderSystem
     }
 
     _svg() {
@@ -540,7 +601,6 @@ class Egg {
     }
 
     createElement() {
-        const container = document.getElementById('game-container');
         const el = document.createElement('div');
         el.className      = 'egg bird-nest fade-in';
         el.style.cssText  = [
@@ -556,12 +616,14 @@ class Egg {
         el.title     = 'Click to hatch!';
         el.innerHTML = this._svg();
         el.addEventListener('click', () => this.hatch());
-        container.appendChild(el);
         return el;
     }
 
-    // Prevent RenderSystem from overwriting the position set in createElement.
-    syncToDOM(_el) {}
+    // RenderSystem writes left/top = x/y; the nest is centred on x/y instead.
+    syncToDOM(el) {
+        el.style.left = (this.x - 60) + 'px';
+        el.style.top  = (this.y - 42) + 'px';
+    }
 
     update(dt) {
         if (this._hatching) return;
@@ -635,44 +697,46 @@ class Egg {
             this.element.style.transition     = 'transform 0.15s ease-in-out';
             this.element.style.transformOrigin = 'center bottom';
             let wobble = 0;
-            const shake = setInterval(() => {
+            this.scheduler.every(0.1, shake => {
+                if (!this.element) { shake.cancel(); return; }
                 wobble++;
                 this.element.style.transform = wobble % 2 === 0
                     ? 'rotate(-6deg) scale(1.08)'
                     : 'rotate(6deg) scale(1.08)';
                 if (wobble >= 6) {
-                    clearInterval(shake);
+                    shake.cancel();
                     this.element.style.transform = 'scale(1.15)';
                 }
-            }, 100);
+            });
         }
 
         // Step 2: after 1.2s spawn the bird and remove the nest element
-        setTimeout(() => {
+        this.scheduler.after(1.2, () => {
             const speciesDef = this.parentSpeciesDef || SPECIES.birds.MALLARD;
 
             if (!this.entities.canSpawn(speciesDef)) {
                 // Cap hit — don't revert the visual. Poll every 2s until a slot opens.
-                const retry = setInterval(() => {
-                    if (this.dead || !this.element) { clearInterval(retry); return; }
+                this.scheduler.every(2, retry => {
+                    if (this._destroyed) { retry.cancel(); return; }
                     if (this.entities.canSpawn(speciesDef)) {
-                        clearInterval(retry);
+                        retry.cancel();
                         this._spawnBird(speciesDef);
                     }
-                }, 2000);
+                });
                 return;
             }
 
             this._spawnBird(speciesDef);
-        }, 1200);
+        });
     }
 
     _spawnBird(speciesDef) {
         const bird = new BirdEntity(
-            this.entities.nextDuckId++,
+            this.entities.nextId(),
             this.x,
             this.y,
             speciesDef,
+            this.rng,
             this.parentColor
         );
 
@@ -698,20 +762,19 @@ class Egg {
     }
 
     destroy() {
+        this._destroyed = true;
         this._removeElement();
     }
 }
 
 class Elixir {
-    constructor(id, x, y, targetY) {
+    // Drops in through the Falling component (see Spawners.addElixir)
+    constructor(id, x, y) {
         this.id = id;
         this.x = x;
         this.y = y;
         this.falling  = true;
-        this.velocity = 0;
-        this.gravity  = 150;
-        this.targetY  = targetY + 20;
-        this.element  = this.createElement();
+        this.element  = null;   // assigned by RenderSystem
     }
 
     createElement() {
@@ -723,20 +786,8 @@ class Elixir {
         return el;
     }
 
-    update(dt) {
-        if (this.falling && this.y < this.targetY) {
-            this.velocity += this.gravity * dt;
-            this.y += this.velocity * dt;
-
-            if (this.y >= this.targetY) {
-                this.y = this.targetY;
-                this.falling = false;
-                this.velocity = 0;
-            }
-
-            this.element.style.left = this.x + 'px';
-            this.element.style.top  = this.y + 'px';
-        }
+    onLanded() {
+        this.falling = false;
     }
 
     destroy() {
@@ -745,8 +796,9 @@ class Elixir {
 }
 
 class PreyEntity {
-    constructor(id, x, y, speciesDef, shouldFall = true) {
+    constructor(id, x, y, speciesDef, rng, shouldFall = true) {
         this.id = id;
+        this.rng = rng;
         this.x = x;
         this.y = y;
         this.speciesDef = speciesDef;
@@ -754,16 +806,20 @@ class PreyEntity {
         this.lifetime = speciesDef.maxAge * 1000;
         this.hunger = 50;
         this.reproductionCooldown = 15;
-        this.isFalling = shouldFall;
-        this.velocityY = 0;
-        this.gravity = 300;
+        this.isFalling = shouldFall;   // physics via the Falling component (see Spawners.addFood)
         this.hasEnteredWater = false;
-        this.swimDirection = Math.random() * Math.PI * 2;
-        this.swimSpeed = 0.3 + Math.random() * 0.2;
+        this.direction = this.rng.next() * Math.PI * 2;
+        this.speed = 0.3 + this.rng.next() * 0.2;   // swimming is MovementSystem's, see engine/Steering.js
+        this.vx = 0;
+        this.vy = 0;
+        this.wanderAngle = 0;
+        this.goal = null;
+        this.threat = null;
+        this.prey = null;
+        this.health = 100;
+        this.sick = 0;
         this.dead = false;
-        this.element = this.createElement();
-
-        if (this.isFalling) this.element.classList.add('falling');
+        this.element = null;   // assigned by RenderSystem
     }
 
     createElement() {
@@ -776,77 +832,39 @@ class PreyEntity {
         return el;
     }
 
+    syncToDOM(el) {
+        el.style.fontSize  = this.speciesDef.size + 'px';
+        el.style.transform = Math.cos(this.direction) < 0 ? 'scaleX(-1)' : 'scaleX(1)';
+        el.classList.toggle('falling',  this.isFalling);
+        el.classList.toggle('swimming', this.hasEnteredWater);
+    }
+
+    onLanded(world, entities) {
+        this.hasEnteredWater = true;
+        this.isFalling = false;
+        this.y = world.oceanTop + 10;
+        entities.joinGrid(this);
+    }
+
     update(dt, world, entities) {
         this.age += dt;
 
         if (this.speciesDef.isBaby && this.age >= 10) {
-            this.speciesDef = SPECIES.prey.SHRIMP;
-            this.element.style.fontSize = this.speciesDef.size + 'px';
-        }
-
-        const ot = world.oceanTop;
-
-        if (this.isFalling) {
-            this.velocityY += this.gravity * dt;
-            this.y += this.velocityY * dt;
-
-            if (this.y >= ot && !this.hasEnteredWater) {
-                this.hasEnteredWater = true;
-                this.isFalling = false;
-                this.velocityY = 0;
-                this.y = ot + 10;
-                entities.grids.food.add(this);
-                this.element.classList.remove('falling');
-                this.element.classList.add('swimming');
-            }
-
-            this.element.style.top = this.y + 'px';
-            return;
+            entities.setSpecies(this, SPECIES.prey.SHRIMP);
         }
 
-        if (this.hasEnteredWater) {
-            const oldX = this.x, oldY = this.y;
-
-            if (Math.random() < 0.02) {
-                this.swimDirection += (Math.random() - 0.5) * Math.PI / 3;
-            }
-
-            const spd = this.swimSpeed * dt * 25;
-            this.x += Math.cos(this.swimDirection) * spd;
-            this.y += Math.sin(this.swimDirection) * spd;
-
-            entities.grids.food.update(this, oldX, oldY);
-
-            if (this.x < 0 || this.x > world.width - 30) {
-                this.swimDirection = Math.PI - this.swimDirection;
-            }
-            if (this.y < ot || this.y > world.height - 30) {
-                this.swimDirection = -this.swimDirection;
-            }
-
-            this.element.style.left = this.x + 'px';
-            this.element.style.top = this.y + 'px';
-            this.element.style.transform = Math.cos(this.swimDirection) < 0 ? 'scaleX(-1)' : 'scaleX(1)';
-        }
+        if (this.isFalling) return;
 
         this.lifetime -= dt * 1000;
         this.hunger = Math.max(0, this.hunger - dt * 0.5);
         this.reproductionCooldown = Math.max(0, this.reproductionCooldown - dt);
 
-        if (Math.random() < 0.02) {
-            for (const a of entities.algae) {
-                const dx = a.x - this.x;
-                const dy = a.y - this.y;
-                if (dx * dx + dy * dy < 50 * 50) {
-                    this.hunger = Math.min(100, this.hunger + 25);
-                    this.lifetime += 5000;
-                    entities.queueRemove(a);
-                    break;
-                }
-            }
-        }
+        if (this.lifetime <= 0) entities.kill(this, 'age');
+    }
 
-        if (this.lifetime <= 0) this.dead = true;
+    /** FeedingSystem hook: a meal of algae buys more time. */
+    onEat() {
+        this.lifetime += 5000;
     }
 
     destroy() {
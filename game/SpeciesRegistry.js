@@ -1,46 +1,98 @@
 // game/SpeciesRegistry.js
 // Single source of truth for every organism in Sea of Ducks.
 // Add a new species here — no other file needs to change.
+//
+// A species may also be built purely from components (engine/Components.js)
+// instead of an entity subclass — list them and spawn with spawners.spawnSpecies:
+//
+//   JELLY: { id: 'jelly', emoji: '🪼', name: 'Jellyfish', maxAge: 90, size: 28, MAX_COUNT: 10,
+//            speed: 0.2, components: { Position: {}, Velocity: {}, Age: {},
+//                                      Hunger: { rate: 0.3 }, Renderable: {} } },
+//
+// Swimmers and plants name the depth zones (game/DepthZones.js) they live in:
+// preferredZones is where they spawn and spend their time, toleratedZones
+// the ones they may stray into. They never leave the two combined. Without
+// zones a species has the whole ocean. Birds float on the surface by their
+// own physics and declare none.
+//
+// currentResistance (0–1) is how little ocean currents move a species; left
+// out, it follows from speed (see engine/Systems/CurrentSystem.js).
+//
+// steering holds a species' movement weights (engine/Systems/MovementSystem.js);
+// whatever it leaves out comes from its group's row in STEERING below.
+// schooling opts a species into flocking with its own kind: neighbours within
+// `radius` px, separation/alignment/cohesion `weights`, and the `wary` species
+// whose approach makes the school scatter. SHOAL and RAFT below are the usual two.
+//
+// diet is what a species eats and how it gets it — the foods by species id or
+// tags, with preference weights and nutrition, plus how far it looks and how
+// close it must get (engine/Systems/FeedingSystem.js). The food web is this
+// table: a species without a diet eats nothing.
+//
+// Seasons (game/Seasons.js) by name: breedingSeasons limits when a species
+// nests or pairs up (always, if left out); birds with awaySeasons migrate —
+// they leave as one of those seasons begins and return when it ends.
 
 import { isMobile } from './GameConfig.js';
 
+// Default steering weights per group. Birds go where their AI sends them and
+// stay put otherwise; swimmers wander, keep to their zones and round islands.
+const STEERING = {
+    birds:   { seek: 1, arrive: 1, pursue: 1, flee: 1.5, evade: 1.5, wander: 0,   avoid: 0,   contain: 1, prefer: 0,   agility: 4,   panic: 1.5, fleeRadius: 150 },
+    fish:    { seek: 1, arrive: 1, pursue: 1, flee: 1.5, evade: 1.5, wander: 1,   avoid: 1.5, contain: 2, prefer: 0.3, agility: 1.5, panic: 1.8, fleeRadius: 120 },
+    mammals: { seek: 1, arrive: 1, pursue: 1, flee: 1.5, evade: 1.5, wander: 1,   avoid: 1.5, contain: 2, prefer: 0.3, agility: 1,   panic: 1.5, fleeRadius: 150 },
+    prey:    { seek: 1, arrive: 1, pursue: 1, flee: 2,   evade: 2,   wander: 1.2, avoid: 1,   contain: 2, prefer: 0.3, agility: 3,   panic: 2,   fleeRadius: 80  },
+};
+
+// Fish shoal tight and bolt from sharks; ducks drift about in loose rafts and
+// scatter only when something comes for one of them.
+const SHOAL = { radius: 140, weights: { separation: 1.5, alignment: 1,   cohesion: 1   }, wary: ['fish_shark'] };
+const RAFT  = { radius: 120, weights: { separation: 1.2, alignment: 0.3, cohesion: 0.4 } };
+
+// Shared diets. Waterfowl dabble for shrimp and dive for small fish; grazers
+// crop the algae and kelp within reach; shrimp strain algae as they drift by.
+const SMALL_FISH = ['fish_salmon', 'fish_tropical', 'fish_puffer'];
+const WATERFOWL  = { range: 300, catch: 35, speed: 2.4, foods: [{ tags: ['prey'], nutrition: 35 }, { species: SMALL_FISH, nutrition: 50 }] };
+const GRAZER     = { range:  80, catch: 30, speed: 1,   hungry: 90, foods: [{ tags: ['algae', '!seagrass'], nutrition: 40 }] };
+const PLANKTON   = { filter: true, catch: 50, hungry: 90, foods: [{ tags: ['algae', '!kelp', '!seagrass'], nutrition: 25 }] };
+
 export const SPECIES = {
     algae: {
-        HEALTHY:  { id: 'algae_healthy', emoji: '🟢', name: 'Green Algae',   toxic: false, pollutionRate: -0.10, maxAge:  60, size: 24, MAX_COUNT: 40 },
-        TOXIC:    { id: 'algae_toxic',   emoji: '🔴', name: 'Toxic Algae',   toxic: true,  pollutionRate:  0.50, maxAge:  45, size: 24, MAX_COUNT: 20 },
-        KELP:     { id: 'kelp',          emoji: '🌿', name: 'Kelp',          toxic: false, pollutionRate: -0.15, maxAge: 120, size: 28, MAX_COUNT: 20, isKelp:     true },
-        SEAGRASS: { id: 'seagrass',      emoji: '🌱', name: 'Seagrass',      toxic: false, pollutionRate: -0.05, maxAge: 200, size: 20, MAX_COUNT: 30, isSeagrass: true },
+        HEALTHY:  { id: 'algae_healthy', emoji: '🟢', name: 'Green Algae',   toxic: false, pollutionRate: -0.10, maxAge:  60, size: 24, MAX_COUNT: 40, preferredZones: ['sunlit', 'twilight'] },
+        TOXIC:    { id: 'algae_toxic',   emoji: '🔴', name: 'Toxic Algae',   toxic: true,  pollutionRate:  0.50, maxAge:  45, size: 24, MAX_COUNT: 20, preferredZones: ['sunlit', 'twilight'] },
+        KELP:     { id: 'kelp',          emoji: '🌿', name: 'Kelp',          toxic: false, pollutionRate: -0.15, maxAge: 120, size: 28, MAX_COUNT: 20, isKelp:     true, preferredZones: ['surface'] },
+        SEAGRASS: { id: 'seagrass',      emoji: '🌱', name: 'Seagrass',      toxic: false, pollutionRate: -0.05, maxAge: 200, size: 20, MAX_COUNT: 30, isSeagrass: true, preferredZones: ['surface'] },
     },
     birds: {
-        MALLARD:   { id: 'duck_mallard', emoji: '🦆', name: 'Mallard Duck', speed: 1.2, maxAge: 240, size: 48, MAX_COUNT: 30 },
-        BABY_DUCK: { id: 'duck_baby',    emoji: '🐥', name: 'Duckling',     speed: 0.8, maxAge: 240, size: 36, MAX_COUNT: 30, isBaby: true },
-        PELICAN:   { id: 'pelican',      emoji: '🦤', name: 'Pelican',      speed: 1.0, maxAge: 300, size: 44, MAX_COUNT: 10 },
-        SWAN:      { id: 'swan',         emoji: '🦢', name: 'Swan',         speed: 1.0, maxAge: 220, size: 40, MAX_COUNT: 12 },
-        FLAMINGO:  { id: 'flamingo',     emoji: '🦩', name: 'Flamingo',     speed: 0.6, maxAge: 200, size: 42, MAX_COUNT: 10, onIsland: true, islandOnly: true },
-        GOOSE:     { id: 'goose',        emoji: '🦢', name: 'Goose',        speed: 1.3, maxAge: 180, size: 38, MAX_COUNT: 12 },
+        MALLARD:   { id: 'duck_mallard', emoji: '🦆', name: 'Mallard Duck', speed: 1.2, maxAge: 900, size: 48, MAX_COUNT: 30, breedingSeasons: ['spring'], schooling: RAFT, diet: WATERFOWL },
+        BABY_DUCK: { id: 'duck_baby',    emoji: '🐥', name: 'Duckling',     speed: 0.8, maxAge: 900, size: 36, MAX_COUNT: 30, isBaby: true, breedingSeasons: ['spring'], schooling: RAFT, diet: WATERFOWL },
+        PELICAN:   { id: 'pelican',      emoji: '🦤', name: 'Pelican',      speed: 1.0, maxAge: 300, size: 44, MAX_COUNT: 10, breedingSeasons: ['spring'], awaySeasons: ['winter'], diet: { ...WATERFOWL, foods: [{ tags: ['prey'], nutrition: 35 }, { species: SMALL_FISH, weight: 3, nutrition: 50 }] } },
+        SWAN:      { id: 'swan',         emoji: '🦢', name: 'Swan',         speed: 1.0, maxAge: 220, size: 40, MAX_COUNT: 12, breedingSeasons: ['spring'], diet: WATERFOWL },
+        FLAMINGO:  { id: 'flamingo',     emoji: '🦩', name: 'Flamingo',     speed: 0.6, maxAge: 200, size: 42, MAX_COUNT: 10, onIsland: true, islandOnly: true, breedingSeasons: ['spring', 'summer'] },
+        GOOSE:     { id: 'goose',        emoji: '🦢', name: 'Goose',        speed: 1.3, maxAge: 180, size: 38, MAX_COUNT: 12, breedingSeasons: ['spring'], awaySeasons: ['winter'], schooling: RAFT, diet: WATERFOWL },
     },
     mammals: {
-        CAT:     { id: 'cat',     emoji: '🐈', name: 'Cat',     speed: 1.4, maxAge: 150, size: 36, MAX_COUNT:  8, isPredator: true,  onIsland: true },
-        DOG:     { id: 'dog',     emoji: '🐕', name: 'Dog',     speed: 1.2, maxAge: 120, size: 36, MAX_COUNT:  8, isPredator: true,  onIsland: true },
-        WHALE:   { id: 'whale',   emoji: '🐳', name: 'Whale',   speed: 0.3, maxAge: 400, size: 48, MAX_COUNT:  5, isPredator: false, cssClass: 'whale'   },
-        DOLPHIN: { id: 'dolphin', emoji: '🐬', name: 'Dolphin', speed: 0.9, maxAge: 250, size: 32, MAX_COUNT:  8, isPredator: false, cssClass: 'dolphin' },
-        SEAL:    { id: 'seal',    emoji: '🦭', name: 'Seal',    speed: 0.5, maxAge: 200, size: 30, MAX_COUNT:  8, isPredator: false },
-        OTTER:   { id: 'otter',   emoji: '🦦', name: 'Otter',   speed: 0.4, maxAge: 150, size: 28, MAX_COUNT: 10, isPredator: false },
+        CAT:     { id: 'cat',     emoji: '🐈', name: 'Cat',     speed: 1.4, maxAge: 150, size: 36, MAX_COUNT:  8, isPredator: true,  onIsland: true, steering: { wander: 0, avoid: 0, agility: 4 }, diet: { range: 300, catch: 30, hungry: 40, foods: [{ tags: ['birds'], nutrition: 60 }] } },
+        DOG:     { id: 'dog',     emoji: '🐕', name: 'Dog',     speed: 1.2, maxAge: 120, size: 36, MAX_COUNT:  8, isPredator: true,  onIsland: true, steering: { wander: 0, avoid: 0, agility: 4 }, diet: { range: 300, catch: 30, hungry: 40, foods: [{ tags: ['birds'], nutrition: 60 }] } },
+        WHALE:   { id: 'whale',   emoji: '🐳', name: 'Whale',   speed: 0.3, maxAge: 400, size: 48, MAX_COUNT:  5, isPredator: false, cssClass: 'whale', currentResistance: 0.9, breedingSeasons: ['winter'], steering: { agility: 0.4 }, preferredZones: ['sunlit', 'twilight', 'midnight'], toleratedZones: ['surface', 'seabed'], diet: { filter: true, catch: 70, hungry: 90, foods: [{ tags: ['prey'], nutrition: 8 }] } },
+        DOLPHIN: { id: 'dolphin', emoji: '🐬', name: 'Dolphin', speed: 0.9, maxAge: 250, size: 32, MAX_COUNT:  8, isPredator: false, cssClass: 'dolphin', currentResistance: 0.85, preferredZones: ['surface', 'sunlit'], toleratedZones: ['twilight'], diet: { range: 250, catch: 30, foods: [{ species: ['fish_salmon', 'fish_tropical'], nutrition: 40 }, { species: ['fish_squid'], nutrition: 30 }] } },
+        SEAL:    { id: 'seal',    emoji: '🦭', name: 'Seal',    speed: 0.5, maxAge: 200, size: 30, MAX_COUNT:  8, isPredator: false, currentResistance: 0.7, breedingSeasons: ['spring'], preferredZones: ['surface', 'sunlit'], toleratedZones: ['twilight'], diet: { range: 200, catch: 30, foods: [{ species: ['fish_salmon'], nutrition: 40 }] } },
+        OTTER:   { id: 'otter',   emoji: '🦦', name: 'Otter',   speed: 0.4, maxAge: 150, size: 28, MAX_COUNT: 10, isPredator: false, currentResistance: 0.5, preferredZones: ['surface'], toleratedZones: ['sunlit', 'seabed'], diet: { range: 600, catch: 30, foods: [{ species: ['fish_crab'], weight: 2, nutrition: 45 }, { tags: ['prey'], nutrition: 15 }] } },
     },
     fish: {
-        SALMON:   { id: 'fish_salmon',   emoji: '🐟', name: 'Salmon',       speed: 0.60, maxAge: 120, size: 24, MAX_COUNT: 30, eatsAlgae: true  },
-        TROPICAL: { id: 'fish_tropical', emoji: '🐠', name: 'Tropical Fish', speed: 0.70, maxAge: 100, size: 26, MAX_COUNT: 20, eatsAlgae: false },
-        PUFFER:   { id: 'fish_puffer',   emoji: '🐡', name: 'Pufferfish',    speed: 0.20, maxAge: 120, size: 26, MAX_COUNT: 10, eatsAlgae: false, cssClass: 'pufferfish' },
-        SHARK:    { id: 'fish_shark',    emoji: '🦈', name: 'Shark',         speed: 0.80, maxAge: 300, size: 32, MAX_COUNT:  5, eatsAlgae: false },
-        SQUID:    { id: 'fish_squid',    emoji: '🦑', name: 'Squid',         speed: 0.60, maxAge: 180, size: 28, MAX_COUNT: 12, eatsAlgae: false },
-        LOBSTER:  { id: 'fish_lobster',  emoji: '🦞', name: 'Lobster',       speed: 0.30, maxAge: 240, size: 28, MAX_COUNT: 10, eatsAlgae: true  },
-        CRAB:     { id: 'fish_crab',     emoji: '🦀', name: 'Crab',          speed: 0.25, maxAge: 180, size: 26, MAX_COUNT: 12, eatsAlgae: true  },
-        SHELL:    { id: 'fish_shell',    emoji: '🐚', name: 'Shell',         speed: 0,    maxAge: 600, size: 24, MAX_COUNT: 10, eatsAlgae: false, mobile: false, cssClass: 'shell' },
-        OCTOPUS:  { id: 'octopus',       emoji: '🐙', name: 'Octopus',       speed: 0.80, maxAge: 150, size: 36, MAX_COUNT:  8, eatsAlgae: false, isOctopus: true },
+        SALMON:   { id: 'fish_salmon',   emoji: '🐟', name: 'Salmon',       speed: 0.60, maxAge: 120, size: 24, MAX_COUNT: 30, schooling: SHOAL, preferredZones: ['sunlit'], toleratedZones: ['surface', 'twilight'], diet: GRAZER },
+        TROPICAL: { id: 'fish_tropical', emoji: '🐠', name: 'Tropical Fish', speed: 0.70, maxAge: 100, size: 26, MAX_COUNT: 20, schooling: SHOAL, preferredZones: ['sunlit'], toleratedZones: ['surface'] },
+        PUFFER:   { id: 'fish_puffer',   emoji: '🐡', name: 'Pufferfish',    speed: 0.20, maxAge: 120, size: 26, MAX_COUNT: 10, cssClass: 'pufferfish', preferredZones: ['sunlit'], toleratedZones: ['twilight'] },
+        SHARK:    { id: 'fish_shark',    emoji: '🦈', name: 'Shark',         speed: 0.80, maxAge: 300, size: 32, MAX_COUNT:  5, steering: { wander: 0.6, pursue: 1.5 }, preferredZones: ['sunlit', 'twilight'], toleratedZones: ['surface', 'midnight'], diet: { range: 250, catch: 30, speed: 1.5, hungry: 60, foods: [{ species: ['fish_salmon', 'fish_tropical'], weight: 2, nutrition: 40 }, { species: ['fish_squid'], nutrition: 50 }] } },
+        SQUID:    { id: 'fish_squid',    emoji: '🦑', name: 'Squid',         speed: 0.60, maxAge: 180, size: 28, MAX_COUNT: 12, preferredZones: ['twilight', 'midnight'], toleratedZones: ['sunlit'] },
+        LOBSTER:  { id: 'fish_lobster',  emoji: '🦞', name: 'Lobster',       speed: 0.30, maxAge: 240, size: 28, MAX_COUNT: 10, currentResistance: 0.8, preferredZones: ['seabed'], diet: GRAZER },
+        CRAB:     { id: 'fish_crab',     emoji: '🦀', name: 'Crab',          speed: 0.25, maxAge: 180, size: 26, MAX_COUNT: 12, currentResistance: 0.8, preferredZones: ['seabed'], diet: GRAZER },
+        SHELL:    { id: 'fish_shell',    emoji: '🐚', name: 'Shell',         speed: 0,    maxAge: 600, size: 24, MAX_COUNT: 10, mobile: false, cssClass: 'shell', currentResistance: 1, preferredZones: ['seabed'] },
+        OCTOPUS:  { id: 'octopus',       emoji: '🐙', name: 'Octopus',       speed: 0.80, maxAge: 150, size: 36, MAX_COUNT:  8, isOctopus: true, preferredZones: ['twilight', 'seabed'], toleratedZones: ['surface', 'sunlit', 'midnight'] },
     },
     prey: {
-        SHRIMP:   { id: 'shrimp',      emoji: '🦐', name: 'Shrimp',      speed: 0.3, maxAge: 30, size: 20, MAX_COUNT: 40 },
-        SHRIMP_B: { id: 'shrimp_baby', emoji: '🦐', name: 'Baby Shrimp', speed: 0.2, maxAge: 20, size: 12, MAX_COUNT: 40, isBaby: true },
+        SHRIMP:   { id: 'shrimp',      emoji: '🦐', name: 'Shrimp',      speed: 0.3, maxAge: 30, size: 20, MAX_COUNT: 40, preferredZones: ['surface', 'sunlit'], toleratedZones: ['twilight'], diet: PLANKTON },
+        SHRIMP_B: { id: 'shrimp_baby', emoji: '🦐', name: 'Baby Shrimp', speed: 0.2, maxAge: 20, size: 12, MAX_COUNT: 40, isBaby: true, preferredZones: ['surface', 'sunlit'], toleratedZones: ['twilight'], diet: PLANKTON },
     },
 };
 
@@ -50,3 +102,22 @@ if (isMobile) {
         for (const def of Object.values(group))
             def.MAX_COUNT = Math.floor(def.MAX_COUNT / 2);
 }
+
+// Steering: the group's weights under the species' own
+for (const [group, defs] of Object.entries(SPECIES))
+    if (STEERING[group])
+        for (const def of Object.values(defs)) def.steering = { ...STEERING[group], ...def.steering };
+
+// Every zone a species may be in: preferred first, then tolerated
+for (const defs of Object.values(SPECIES))
+    for (const def of Object.values(defs))
+        if (def.preferredZones) def.zoneRange = [...def.preferredZones, ...(def.toleratedZones ?? [])];
+
+// Derive query tags from the table: the group name plus every flag that is
+// true, minus any 'is' prefix — so entities.query({ tags: ['algae', '!toxic'] })
+// or { tags: ['predator'] } work without a hand-kept tag list.
+for (const [group, defs] of Object.entries(SPECIES))
+    for (const def of Object.values(defs))
+        def.tags = [group, ...Object.keys(def)
+            .filter(k => def[k] === true)
+            .map(k => k.startsWith('is') ? k[2].toLowerCase() + k.slice(3) : k)];
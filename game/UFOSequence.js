@@ -23,15 +23,17 @@ class SampleTube {
      * @param {number} id
      * @param {number} x        – horizontal centre
      * @param {number} startY   – Y just below the UFO body
-     * @param {HTMLElement} container
+     * @param {HTMLElement} container – the render layer (world coordinates)
+     * @param {object} world    – World (water surface)
      * @param {object} entities – EntityManager (holds waterPollution)
      */
-    constructor(id, x, startY, container, entities) {
+    constructor(id, x, startY, container, world, entities) {
         this.id        = id;
         this.x         = x;
         this.startY    = startY;
         this.y         = startY;
         this.container = container;
+        this.world     = world;
         this.entities  = entities;  // waterPollution lives here, not on World
 
         // State machine: lowering → collecting → retracting → complete
@@ -40,8 +42,7 @@ class SampleTube {
         this.hasEntered     = false;
 
         // Target: 100 px below the water surface
-        const waterSurface  = container.clientHeight * 0.40;
-        this.targetDepth    = waterSurface + 100;
+        this.targetDepth    = world.oceanTop + 100;
 
         this.element = this._createElement();
     }
@@ -63,7 +64,7 @@ class SampleTube {
     }
 
     update(dt) {
-        const waterSurface = this.container.clientHeight * 0.40;
+        const waterSurface = this.world.oceanTop;
 
         switch (this.state) {
             case 'lowering':
@@ -154,7 +155,7 @@ class UFO {
         this.bus       = bus;
         this.onDone    = onDone;
 
-        this.x         = container.clientWidth / 2 - 40; // centred
+        this.x         = world.width / 2 - 40;           // centred
         this.y         = -150;                            // offscreen top
         this.hoverY    = hoverY;
 
@@ -254,6 +255,7 @@ class UFO {
                     // Extend the beam
                     const beam = this.element.querySelector('.ufo-beam');
                     if (beam) beam.style.height = '60px';
+                    this.bus.emit(Events.UFO_ARRIVED, { x: this.x, y: this.y });
                     this.bus.emit(Events.LOG_EVENT, { message: 'UFO has arrived and is hovering! 🛸' });
                 }
                 break;
@@ -274,10 +276,11 @@ class UFO {
                 this.tubes.forEach(t => t.update(dt));
                 if (this.tubes.length > 0 && this.tubes.every(t => t.state === 'complete')) {
                     this.state = 'leaving';
-                    setTimeout(() => {
+                    this.world.scheduler.after(0.8, () => {
+                        this.bus.emit(Events.UFO_DEPARTED, { samples: this.tubes.length });
                         this.bus.emit(Events.LOG_EVENT, { message: 'Sample collection complete! UFO departing… 🛸✨' });
                         this._showCelebration();
-                    }, 800);
+                    });
                 }
                 break;
 
@@ -305,23 +308,24 @@ class UFO {
         const tubeY     = this.hoverY + 70; // just below the UFO body
 
         for (let i = 0; i < NUM_TUBES; i++) {
-            setTimeout(() => {
+            this.world.scheduler.after(i * 0.3, () => {
                 const tube = new SampleTube(
                     this._nextTubeId++,
                     startX + i * SPACING,
                     tubeY,
                     this.container,
+                    this.world,
                     this.entities,   // was this.world — waterPollution lives on EntityManager
                 );
                 this.tubes.push(tube);
-            }, i * 300);
+            });
         }
 
         // Switch to collecting after all tubes are deployed
-        setTimeout(() => {
+        this.world.scheduler.after(NUM_TUBES * 0.3 + 0.5, () => {
             this.state = 'collecting';
             this.bus.emit(Events.LOG_EVENT, { message: `Collecting ${NUM_TUBES} water samples… 💧` });
-        }, NUM_TUBES * 300 + 500);
+        });
     }
 
     _showCelebration() {
@@ -331,8 +335,8 @@ class UFO {
                 sp.textContent = ['✨', '⭐', '💫', '🌟'][Math.floor(Math.random() * 4)];
                 sp.style.cssText = `
                     position:absolute;
-                    left:${Math.random() * this.container.clientWidth}px;
-                    top:${Math.random() * this.container.clientHeight}px;
+                    left:${Math.random() * this.world.width}px;
+                    top:${Math.random() * this.world.height}px;
                     font-size:${20 + Math.random() * 30}px;
                     pointer-events:none;z-index:300;
                     animation:splashFloat 2s ease-out forwards;`;
@@ -361,7 +365,7 @@ export class UFOSequence {
     /**
      * Trigger a UFO water-sampling flyby.
      *
-     * @param {HTMLElement} container  – #game-container
+     * @param {HTMLElement} container  – the render layer (RenderSystem.layer), world coordinates
      * @param {object}      world      – World instance (needs .waterPollution)
      * @param {object}      entities   – EntityManager (unused directly, reserved for future use)
      * @param {object}      bus        – EventBus
@@ -393,4 +397,9 @@ export class UFOSequence {
     static update(dt) {
         if (UFOSequence._ufo) UFOSequence._ufo.update(dt);
     }
+
+    /** Remove an active UFO at once (e.g. when a replay rewinds past its visit). */
+    static abort() {
+        UFOSequence._ufo?.destroy();
+    }
 }
\ No newline at end of file
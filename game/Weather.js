@@ -0,0 +1,45 @@
+// game/Weather.js
+// Every weather state and how it moves on, handed to WeatherSystem at startup.
+// A state lasts a random time within `duration` (seconds), then changes to one
+// of `next`, picked by weight; `message` is logged when it sets in. Effects
+// left out are off.
+//
+//   wind          px/s that birds are blown sideways (direction picked per spell, gusting)
+//   light         multiplier on daylight in every zone
+//   nestDamage    chance per second that each nest is wrecked
+//   dilution      pollution points per second washed out by rain
+//   runoff        pollution points per second washed in per island
+//   toxicBoost    multiplier on toxic algae's pollution rate
+//   bloomChance   chance per second of a new toxic algae bloom
+
+export const WEATHER = {
+    clear: {
+        emoji: '🌤️', name: 'Clear', message: 'The skies clear',
+        duration: [40, 90],
+        next: { overcast: 0.55, heatwave: 0.25, rain: 0.20 },
+    },
+    overcast: {
+        emoji: '☁️', name: 'Overcast', message: 'Clouds roll over',
+        duration: [30, 60],
+        next: { clear: 0.40, rain: 0.45, storm: 0.15 },
+        wind: 2, light: 0.7,
+    },
+    rain: {
+        emoji: '🌧️', name: 'Rain', message: 'Rain starts to fall',
+        duration: [25, 50],
+        next: { overcast: 0.50, storm: 0.25, clear: 0.25 },
+        wind: 6, light: 0.6, dilution: 0.3, runoff: 0.03,
+    },
+    storm: {
+        emoji: '⛈️', name: 'Storm', message: 'A storm is rolling in',
+        duration: [15, 30],
+        next: { rain: 0.60, overcast: 0.40 },
+        wind: 20, light: 0.4, nestDamage: 0.04, dilution: 0.2, runoff: 0.08,
+    },
+    heatwave: {
+        emoji: '🌡️', name: 'Heatwave', message: 'A heatwave settles over the sea',
+        duration: [30, 60],
+        next: { clear: 0.60, overcast: 0.40 },
+        toxicBoost: 2, bloomChance: 0.05,
+    },
+};
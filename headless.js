@@ -0,0 +1,108 @@
+// headless.js
+// Node entry point: runs Sea of Ducks with no browser and no DOM, then dumps
+// the population and pollution history as JSON.
+//
+//   node headless.js [--ticks 10000] [--sample 60] [--seed 42] [--out run.json]
+//                    [--disable reproduction,ai] [--profile] [--journal events.ndjson]
+//                    [--replay session.replay.json] [--expect-alive ducks,fish,food]
+//
+// Uses the same wiring as main.js (game/Simulation.js) minus rendering, HUD
+// and the UFO. Writes to stdout unless --out is given.
+//
+// --replay plays back a session saved from the browser's timeline: its seed,
+// world size and actions, for as many ticks as it recorded unless --ticks
+// says otherwise.
+//
+// --expect-alive names pools or species ids that must still have someone
+// living at the end; if any died out it says which and exits with status 1.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import { HeadlessRunner }   from './engine/HeadlessRunner.js';
+import { Replay }           from './engine/Replay.js';
+import { createActions }    from './game/Actions.js';
+import { CONFIG }           from './game/GameConfig.js';
+import { createSimulation, populateInitialScene } from './game/Simulation.js';
+
+// ── Args ──────────────────────────────────────────────────────────────────────
+
+function arg(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const replayFile  = arg('replay', null);
+const recording   = replayFile ? JSON.parse(readFileSync(replayFile, 'utf8')) : null;
+const ticks       = Number(arg('ticks', recording?.endStep ?? 10000));
+const sampleEvery = Number(arg('sample', 60));
+const outFile     = arg('out', null);
+const seedArg     = arg('seed', null);
+const disabled    = arg('disable', '').split(',').filter(Boolean);
+const profile     = process.argv.includes('--profile');
+const journalFile = arg('journal', null);
+const expectAlive = arg('expect-alive', '').split(',').filter(Boolean);
+
+// ── Build + run ───────────────────────────────────────────────────────────────
+
+const { world, entities, engine, spawners, journal, weather } = createSimulation(CONFIG, {
+    width:  recording?.width,    // default CONFIG.WORLD_WIDTH × WORLD_HEIGHT
+    height: recording?.height,
+    seed:   recording?.seed   ?? (seedArg !== null ? Number(seedArg) : null),
+});
+
+for (const name of disabled) engine.setEnabled(name, false);
+engine.profiler.setEnabled(profile);
+
+populateInitialScene(spawners);
+
+if (recording) {
+    // No UFO here: a logged triggerUFO is skipped with a warning
+    const replay = new Replay(engine, { world, entities, journal }, {
+        actions: createActions({ world, engine, spawners, weather }),
+    });
+    engine.addSystem(replay, { name: 'replay' });
+    replay.start().load(recording);
+}
+
+function snapshot(runner) {
+    const { pools, species } = entities.populationSnapshot();
+    return {
+        tick:      runner.ticks,
+        time:      +world.time.toFixed(3),
+        season:    world.season?.name ?? null,
+        pollution: +entities.waterPollution.toFixed(3),
+        pools,
+        species,
+    };
+}
+
+const runner  = new HeadlessRunner(engine);
+const started = Date.now();
+const history = runner.run(ticks, { sampleEvery, sample: snapshot });
+
+const result = {
+    seed:      world.seed,
+    disabled,
+    ticks,
+    stepDt:    engine.stepDt,
+    simTime:   +engine.simTime.toFixed(3),
+    wallMs:    Date.now() - started,
+    world:     { width: world.width, height: world.height },
+    final:     snapshot(runner),
+    history,
+};
+if (profile) result.profile = { frame: engine.profiler.frameStats(), sections: engine.profiler.report() };
+
+if (journalFile) writeFileSync(journalFile, journal.toNDJSON());
+
+const json = JSON.stringify(result, null, 2);
+if (outFile) writeFileSync(outFile, json);
+else process.stdout.write(json + '\n');
+
+// ── Survival check ────────────────────────────────────────────────────────────
+
+const extinct = expectAlive.filter(name => !(result.final.pools[name] ?? result.final.species[name]));
+if (extinct.length) {
+    console.error(`Died out by tick ${ticks} (${result.simTime}s): ${extinct.join(', ')}`);
+    process.exitCode = 1;
+}
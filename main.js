@@ -1,116 +1,94 @@
 // main.js
-// Entry point for Sea of Ducks.
-// Wires the engine, world, entity manager, systems, UI, and spawners together.
-// This is the only file that imports everything — all other files import only
-// what they strictly need.
-
-import { Engine }              from './engine/Core.js';
-import { World }               from './engine/World.js';
-import { EntityManager }       from './engine/EntityManager.js';
-import { EventBus, Events }    from './engine/EventBus.js';
-import { MovementSystem }      from './engine/Systems/MovementSystem.js';
-import { AISystem }            from './engine/Systems/AISystem.js';
-import { ReproductionSystem }  from './engine/Systems/ReproductionSystem.js';
+// Browser entry point for Sea of Ducks.
+// Takes the simulation built by game/Simulation.js and adds everything that
+// needs a DOM: rendering, UI, the UFO, and the button/click handlers.
+// All other files import only what they strictly need.
+
+import { Camera }              from './engine/Camera.js';
+import { Replay }              from './engine/Replay.js';
 import { RenderSystem }        from './engine/Systems/RenderSystem.js';
-import { PollutionSystem }     from './engine/Systems/PollutionSystem.js';
 
+import { createActions }       from './game/Actions.js';
+import { CameraControls }      from './game/CameraControls.js';
 import { CONFIG }              from './game/GameConfig.js';
+import { CurrentOverlay }      from './game/CurrentOverlay.js';
 import { GameUI }              from './game/GameUI.js';
-import { Spawners }            from './game/Spawners.js';
-import { SPECIES }             from './game/SpeciesRegistry.js';
+import { Minimap }             from './game/Minimap.js';
+import { PollutionOverlay }    from './game/PollutionOverlay.js';
+import { ProfilerPanel }       from './game/ProfilerPanel.js';
+import { ReplayPanel }         from './game/ReplayPanel.js';
 import { UFOSequence }         from './game/UFOSequence.js';
+import { createSimulation, populateInitialScene } from './game/Simulation.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 //  Bootstrap
 // ─────────────────────────────────────────────────────────────────────────────
 
+// A loaded recording survives the reload that starts its replay here
+const REPLAY_STORAGE_KEY = 'sea-of-ducks:replay';
+
 const container = document.getElementById('game-container');
 
-// Core engine objects
-const bus      = new EventBus();
-const world    = new World(CONFIG);
-const entities = new EntityManager(bus, CONFIG);
-const engine   = new Engine({ targetFPS: CONFIG.UPDATE_FPS });
+// ?seed=123 reproduces a shared session; ?replay plays back a loaded recording
+const params    = new URLSearchParams(location.search);
+const seedParam = params.get('seed');
+const recording = params.has('replay') ? JSON.parse(sessionStorage.getItem(REPLAY_STORAGE_KEY) ?? 'null') : null;
+
+// Core engine objects + systems 1–8 (shared with headless.js)
+// The world has fixed logical dimensions; the camera fits it to the window
+const { bus, world, entities, engine, spawners, journal, weather } = createSimulation(CONFIG, {
+    width:  recording?.width,
+    height: recording?.height,
+    seed:   recording?.seed ?? (seedParam !== null ? Number(seedParam) : null),
+});
 
-world.init(container);
+const camera = new Camera(world);
+camera.setViewport(container.clientWidth, container.clientHeight);
+camera.fit();
 
 // Game-layer objects
-const spawners = new Spawners(world, entities, bus);
 const ui       = new GameUI(world, entities, bus, CONFIG);
 spawners.setUI(ui); // inject it after both are created
 
-// ── Register systems (execution order matters) ────────────────────────────────
-
-// 1. Flush removal queue from last frame before anyone reads arrays
-engine.addSystem({
-    update: ()  => entities.flushRemovals(),
-});
-
-// 2. AI decisions (low frequency — entities throttle internally)
-engine.addSystem(new AISystem(world, entities, bus));
-
-// 3. Movement
-engine.addSystem(new MovementSystem(world, entities));
-
-// 4. Reproduction (pair-finding for fish/mammals/shrimp)
-engine.addSystem(new ReproductionSystem(world, entities, bus, spawners));
-
-// 5. Pollution + algae lifetime
-engine.addSystem(new PollutionSystem(world, entities, bus));
-
-// 6. Per-entity update() — aging, behaviour execution, shrimp physics
-engine.addSystem({
-    update: (dt) => {
-        if (world.isPaused) return;
-        const allArrays = [
-            entities.ducks, entities.fish, entities.food, entities.eggs,
-            entities.algae, entities.seagrass, entities.kelp,
-            entities.octopi, entities.elixirs, entities.seaCreatures, entities.predators,
-        ];
-        for (const arr of allArrays)
-            for (let i = arr.length - 1; i >= 0; i--)
-                arr[i]?.update(dt, world, entities, bus, CONFIG);
-
-        // Mark dead entities for removal
-        for (const arr of allArrays)
-            for (const e of arr)
-                if (e.dead) entities.queueRemove(e);
-    },
-});
-
-// 7. Natural algae spawning
-let algaeTimer = 0;
-engine.addSystem({
-    update: (dt) => {
-        if (world.isPaused) return;
-        algaeTimer += dt;
-        if (algaeTimer >= CONFIG.ALGAE_SPAWN_INTERVAL) {
-            algaeTimer = 0;
-            spawners.addAlgae();
-        }
-    },
-});
-
-// 8. Day/night
-engine.addSystem({
-    update: (dt) => {
-        if (world.isPaused) return;
-        const flipped = world.tick(dt);
-        if (flipped) bus.emit(Events.DAY_NIGHT_FLIP);
-    },
-});
-
-// 9. Render — always runs even when paused so the screen stays current
-engine.addSystem(new RenderSystem(world, entities, container));
-
-// 10. UI / HUD
-engine.addSystem(ui);
-
-// 11. UFO — ticks the active sequence, and auto-triggers when biodiversity > 70%
+// ── Register presentation systems (after the simulation ones) ────────────────
+
+// 9. Render — frame phase: runs once per displayed frame, even when paused
+const render = new RenderSystem(world, entities, container, camera);
+engine.addSystem(render, { name: 'render' });
+
+// Sky, shallows and reef go into the world layer so they move with the camera;
+// the zone heights become world px (shallow 75% / deep 25% of the ocean)
+const backdrop = document.getElementById('backdrop');
+const oceanH   = world.height - world.oceanTop;
+for (const [name, px] of Object.entries({
+    'sky-h':      world.oceanTop,
+    'shallow-h':  oceanH * 0.75,
+    'deep-h':     oceanH * 0.25,
+    'waterline':  world.oceanTop,
+    'deep-start': world.oceanTop + oceanH * 0.75,
+})) backdrop.style.setProperty(`--${name}`, `${px}px`);
+render.layer.prepend(backdrop);
+
+// 10. UI / HUD (frame phase)
+engine.addSystem(ui, { name: 'ui' });
+
+// 11. Minimap, the current arrows and the pollution heatmap (frame phase; the overlays idle until toggled)
+engine.addSystem(new Minimap(world, entities, camera, document.getElementById('minimap')), { name: 'minimap' });
+const currentOverlay = new CurrentOverlay(world, render.layer);
+engine.addSystem(currentOverlay, { name: 'currentOverlay' });
+const pollutionOverlay = new PollutionOverlay(world, render.layer);
+engine.addSystem(pollutionOverlay, { name: 'pollutionOverlay' });
+
+// 12. Profiler overlay (frame phase, idle until toggled)
+const profilerPanel = new ProfilerPanel(engine.profiler, document.getElementById('profiler-panel'));
+engine.addSystem(profilerPanel, { name: 'profiler' });
+
+// 13. UFO — ticks the active sequence, and auto-triggers when biodiversity > 70%
 let ufoCheckCooldown = 10;  // prevents re-triggering immediately after a visit
 
 engine.addSystem({
     update: (dt) => {
+        if (world.isPaused) return;
         UFOSequence.update(dt);
 
         // Auto-trigger check (runs every 5s to avoid checking every frame)
@@ -118,62 +96,128 @@ engine.addSystem({
         if (ufoCheckCooldown > 0) return;
         ufoCheckCooldown = 5;
 
+        // Recomputed here rather than read from the HUD's last (wall-clock
+        // throttled) refresh, so a replay triggers on the same step
+        ui.updateBiodiversity();
         if (!UFOSequence._active && entities.biodiversity > 70) {
-            UFOSequence.trigger(container, world, entities, bus);
+            UFOSequence.trigger(render.layer, world, entities, bus);
             ufoCheckCooldown = 120;  // 2 min cooldown after each visit
         }
     },
+    snapshot: () => ufoCheckCooldown,
+    restore:  (cooldown) => {
+        UFOSequence.abort();   // keyframes are never taken mid-visit
+        ufoCheckCooldown = cooldown;
+    },
+}, { name: 'ufo' });
+
+// 14. Replay — logs every action below by step, keyframes the run, and seeks
+//     (last in the step phase, see engine/Replay.js)
+const replay = new Replay(engine, { world, entities, journal }, {
+    actions: {
+        ...createActions({ world, engine, spawners, weather }),
+        triggerUFO: () => UFOSequence.trigger(render.layer, world, entities, bus),
+    },
+    canKeyframe: () => !UFOSequence._active,
+    meta:        { seed: world.seed, width: world.width, height: world.height },
+});
+engine.addSystem(replay, { name: 'replay' });
+
+// 15. Timeline bar (frame phase, idle until toggled)
+const replayPanel = new ReplayPanel(replay, document.getElementById('replay-panel'), {
+    onSeek: seekTo,
+    onSave: () => downloadText(`sea-of-ducks-${world.seed}.replay.json`, JSON.stringify(replay), 'application/json'),
+    onLoad: async (file) => {
+        sessionStorage.setItem(REPLAY_STORAGE_KEY, await file.text());
+        location.search = '?replay';
+    },
 });
+engine.addSystem(replayPanel, { name: 'timeline' });
+
+/** Jump the pond to `step` of the recording; the log stays quiet while it catches up. */
+function seekTo(step) {
+    ui.logMuted = true;
+    try {
+        replay.seek(step);
+    } finally {
+        ui.logMuted = false;
+    }
+    ui.updateHUD(true);
+    ui.updateDayNight();
+    ui.updateSeason();
+    ui.updateWeather();
+    ui.updatePollutionIndicator();
+    ui.logEvent(replay.mode === 'live'
+        ? '⏺️ Live — you have the controls'
+        : `⏪ Replaying from ${Math.floor(engine.simTime / 60)}:${String(Math.floor(engine.simTime % 60)).padStart(2, '0')} — act to take over`);
+}
 
 // ── Wire up button handlers ───────────────────────────────────────────────────
 
+// Speeds cycled by the ⏩ button
+const SPEED_STEPS = [0.25, 0.5, 1, 2, 4, 8, 16];
+
 // These are called by onclick= attributes in index.html.
 // We attach them to window so index.html can reach them.
+// Everything that changes the simulation goes through the replay log.
 window.gameActions = {
-    addBird:         (def)  => spawners.addBird(def ? SPECIES.birds[def] : undefined),
-    addFish:         (id)   => {
-        const def = Object.values(SPECIES.fish).find(s => s.id === id) ?? SPECIES.fish.SALMON;
-        spawners.addFish(def);
-    },
-    addFood:         ()     => spawners.addFood(),
-    addOctopus:      ()     => spawners.addOctopus(),
-    addSeaCreature:  ()     => spawners.addSeaCreature(),
-    addPredator:     ()     => spawners.addPredator(),
-    addIsland:       ()     => spawners.addIsland(),
-    addElixir:       ()     => spawners.addElixir(),
-    addKelp:         ()     => spawners.addKelp(),
-    addAlgae:        (type) => spawners.addAlgae(type),
+    ...replay.bindActions(),   // addBird, addFish, …, setSystemEnabled, triggerUFO
     togglePause:     (btn)  => ui.togglePause(btn),
+    setTimeScale:    (s)    => engine.setTimeScale(s),
+    cycleSpeed:      (btn)  => {
+        const next = SPEED_STEPS.find(s => s > engine.timeScale) ?? SPEED_STEPS[0];
+        ui.showTimeScale(engine.setTimeScale(next), btn);
+    },
+    stepOnce:        ()     => engine.stepOnce(),
+    stepN:           (n)    => engine.stepN(n),
+    listSystems:     ()     => engine.listSystems(),
+    // Not logged: it takes code, so a session that uses it won't replay
+    replaceSystem:   (name, system) => engine.replaceSystem(name, system),
+    fitView:         ()     => camera.fit(),
+    toggleCurrents:  ()     => currentOverlay.toggle(),
+    togglePollution: ()     => pollutionOverlay.toggle(),
+    toggleProfiler:  ()     => profilerPanel.toggle(),
+    toggleTimeline:  ()     => replayPanel.toggle(),
+    seek:            (step) => seekTo(step),
+    exportJournal:   ()     => downloadText(`sea-of-ducks-${world.seed}.ndjson`, journal.toNDJSON()),
     toggleHUD:       ()     => ui.toggleHUD(),
     toggleLog:       ()     => ui.toggleLog(),
-    triggerUFO:      ()     => UFOSequence.trigger(container, world, entities, bus),
 };
 
-// Allow index.html to drop food at click position
-container.addEventListener('click', (e) => {
-    if (e.target !== container) return; // don't steal clicks from entities
-    const rect = container.getBoundingClientRect();
-    spawners.addFoodAt(e.clientX - rect.left, e.clientY - rect.top);
+function downloadText(filename, text, type = 'application/x-ndjson') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a   = Object.assign(document.createElement('a'), { href: url, download: filename });
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Wheel zooms, drag pans; a plain click on the world drops food there
+new CameraControls(camera, container, {
+    onClick: (x, y, target) => {
+        if (target !== render.layer) return; // don't steal clicks from entities or drop outside the world
+        replay.dispatch('addFoodAt', x, y);
+    },
 });
 
+// Only the view follows the window — the world keeps its size
+window.addEventListener('resize', () => camera.setViewport(container.clientWidth, container.clientHeight));
+
 // ── Initial scene setup ───────────────────────────────────────────────────────
 
 ui.createStars();
+ui.logEvent(`🎲 Seed ${world.seed} — open with ?seed=${world.seed} to replay this pond`);
 
-spawners.addIsland('medium');
-spawners.addIsland('small');
-
-for (let i = 0; i < 4; i++) spawners.addBird();
-for (let i = 0; i < 3; i++) spawners.addFish();
-for (let i = 0; i < 2; i++) spawners.addFood();
-
-spawners.addOctopus();
-spawners.addSeaCreature();
-spawners.addKelp();
-spawners.addAlgae('seagrass');
+populateInitialScene(spawners);
+replay.start();
+if (recording) {
+    replay.load(recording);
+    ui.logEvent(`⏪ Replaying a recorded session (seed ${recording.seed}) — act to take over`);
+}
 
 ui.updateHUD(true);
 ui.updateDayNight();
+ui.updateSeason();
+ui.updateWeather();
 
 // ── Go! ───────────────────────────────────────────────────────────────────────
 